@@ -0,0 +1,188 @@
+// auth.js -- researcher and participant authentication middleware
+//
+// Researchers authenticate with an API key (RESEARCHER_API_KEYS, comma-separated)
+// or by logging in with RESEARCHER_PASSWORD, which sets a session cookie.
+// Participants get a write token when their user is created; it only allows
+// writes to that user's own pins, images, logs and sessions. Tokens are stored
+// as SHA-256 hashes, never in the clear. AUTH=off disables all checks for local
+// development.
+
+import crypto from "crypto";
+import dbPromise from "./database.js";
+
+export const AUTH_DISABLED = process.env.AUTH === "off";
+export const SESSION_COOKIE = "researcher_session";
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+const API_KEY_HASHES = (process.env.RESEARCHER_API_KEYS || "")
+  .split(",")
+  .map(key => key.trim())
+  .filter(Boolean)
+  .map(hashToken);
+const PASSWORD_HASH = process.env.RESEARCHER_PASSWORD ? hashToken(process.env.RESEARCHER_PASSWORD) : null;
+
+export const RESEARCHER_AUTH_CONFIGURED = API_KEY_HASHES.length > 0 || PASSWORD_HASH !== null;
+
+// Constant-time comparison of two hex digests
+function sameHash(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch {
+        // Malformed %-escapes: keep the raw value rather than failing the request
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Who is calling: { role: "researcher" }, { role: "participant", userId } or
+ * null. Accepts "Authorization: Bearer <key or token>", X-API-Key,
+ * X-Write-Token and the researcher session cookie.
+ */
+export async function resolveAuth(db, req) {
+  const authorization = req.get("authorization") || "";
+  const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null;
+
+  for (const key of [req.get("x-api-key"), bearer]) {
+    if (key && API_KEY_HASHES.some(hash => sameHash(hash, hashToken(key)))) {
+      return { role: "researcher", via: "apiKey" };
+    }
+  }
+
+  const session = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+  if (session) {
+    const row = await db.get(
+      `SELECT token_hash FROM researcher_sessions WHERE token_hash = ? AND expires_at > ?`,
+      [hashToken(session), new Date().toISOString()]
+    );
+    if (row) {
+      return { role: "researcher", via: "session" };
+    }
+  }
+
+  const writeToken = req.get("x-write-token") || bearer;
+  if (writeToken) {
+    const row = await db.get(`SELECT user_id FROM participant_tokens WHERE token_hash = ?`, [hashToken(writeToken)]);
+    if (row) {
+      return { role: "participant", userId: row.user_id };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sets req.auth for every request (see resolveAuth)
+ */
+export async function authenticate(req, res, next) {
+  try {
+    req.auth = AUTH_DISABLED ? { role: "researcher", via: "disabled" } : await resolveAuth(await dbPromise, req);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export function requireResearcher(req, res, next) {
+  if (req.auth?.role === "researcher") {
+    return next();
+  }
+  res.status(req.auth ? 403 : 401).json({ error: "Researcher authentication required" });
+}
+
+/**
+ * Researchers, or the participant whose userId `getUserId(req)` resolves to.
+ * When it resolves to none (no userId in the body, an unknown session) the
+ * route runs anyway and sends its own 400 or 404; it writes nothing without one.
+ */
+export function requireOwner(getUserId) {
+  return async (req, res, next) => {
+    try {
+      if (req.auth?.role === "researcher") {
+        return next();
+      }
+      if (!req.auth) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      const userId = await getUserId(req);
+      if (userId === undefined || userId === null || userId === "" || String(userId) === req.auth.userId) {
+        return next();
+      }
+      res.status(403).json({ error: "This write token belongs to another user" });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const DASHBOARD_PAGES = new Set(["/", "/index.html", "/browse_logs.html", "/logs"]);
+
+/**
+ * Send anyone who is not a researcher from a dashboard page to the login page
+ */
+export function protectDashboards(req, res, next) {
+  if (!DASHBOARD_PAGES.has(req.path) || req.auth?.role === "researcher") {
+    return next();
+  }
+  // Relative, so it keeps working behind the /artographer-data/ proxy prefix
+  const page = req.path === "/" ? "index.html" : req.path.slice(1);
+  res.redirect(`login.html?next=${encodeURIComponent(page)}`);
+}
+
+/**
+ * Issue (or replace) a user's write token; returns the token itself, which is
+ * only ever shown this once
+ */
+export async function issueParticipantToken(db, userId) {
+  const token = generateToken();
+  await db.run(
+    `INSERT INTO participant_tokens (user_id, token_hash) VALUES (?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET token_hash = excluded.token_hash, created_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`,
+    [userId, hashToken(token)]
+  );
+  return token;
+}
+
+/**
+ * Start a researcher session if `password` matches; returns the session token
+ * or null
+ */
+export async function loginResearcher(db, password) {
+  if (!PASSWORD_HASH || typeof password !== "string" || !sameHash(PASSWORD_HASH, hashToken(password))) {
+    return null;
+  }
+  const token = generateToken();
+  const now = new Date();
+  await db.run(`DELETE FROM researcher_sessions WHERE expires_at <= ?`, [now.toISOString()]);
+  await db.run(
+    `INSERT INTO researcher_sessions (token_hash, expires_at) VALUES (?, ?)`,
+    [hashToken(token), new Date(now.getTime() + SESSION_TTL_MS).toISOString()]
+  );
+  return token;
+}
+
+export async function logoutResearcher(db, req) {
+  const session = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+  if (session) {
+    await db.run(`DELETE FROM researcher_sessions WHERE token_hash = ?`, [hashToken(session)]);
+  }
+}
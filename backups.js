@@ -0,0 +1,177 @@
+// backups.js -- online snapshots of the database, with checksums and rotation
+//
+// A snapshot is a standalone copy of the live database written with VACUUM
+// INTO, so it is consistent even while the server keeps running, plus a
+// "<name>.sha256" file in sha256sum format. Names carry the time and the reason
+// (snapshot-2025-08-20T02-17-29-830Z-scheduled.db), and each reason keeps its
+// own newest BACKUP_KEEP snapshots. Restoring copies a snapshot back into the
+// open connection with SQLite's backup API.
+//
+// Snapshots hold the database only: generated images live in the blob store
+// (blobStore.js), which is not copied. They also keep participants forgotten
+// after they were taken; the server forgets those again after a restore, from
+// the erasure log in privacy.js.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+
+export const BACKUP_DIR = process.env.BACKUP_DIR || path.join(process.cwd(), "backups");
+export const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 14;
+
+const NAME_PATTERN = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z0-9-]+)\.db$/;
+
+// "2025-08-20T02-17-29-830Z" <-> "2025-08-20T02:17:29.830Z"
+const timeForName = (date) => date.toISOString().replace(/:/g, "-").replace(".", "-");
+const timeFromName = (text) => text.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+
+// "Before delete user!" -> "before-delete-user"
+function reasonSlug(reason) {
+  const slug = String(reason ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+  return slug || "manual";
+}
+
+/**
+ * Path of the snapshot called `name` in `dir`, or null if there is none.
+ * Throws a RangeError for names that are not snapshot names.
+ */
+export function snapshotPath(name, dir = BACKUP_DIR) {
+  if (!NAME_PATTERN.test(String(name))) {
+    throw new RangeError(`Invalid snapshot name "${name}"`);
+  }
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+export async function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+function readChecksum(file) {
+  try {
+    return fs.readFileSync(`${file}.sha256`, "utf8").split(/\s+/)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Snapshots in `dir`, newest first. With `verify`, each one's checksum is
+ * recomputed and compared with its .sha256 file.
+ */
+export async function listSnapshots({ dir = BACKUP_DIR, verify = false } = {}) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of fs.readdirSync(dir)) {
+    const match = NAME_PATTERN.exec(name);
+    if (!match) continue;
+    const file = path.join(dir, name);
+    const snapshot = {
+      name,
+      createdAt: timeFromName(match[1]),
+      reason: match[2],
+      size: fs.statSync(file).size,
+      sha256: readChecksum(file),
+    };
+    if (verify) {
+      snapshot.checksumValid = snapshot.sha256 !== null && (await sha256File(file)) === snapshot.sha256;
+    }
+    snapshots.push(snapshot);
+  }
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+}
+
+/**
+ * Delete all but the newest `keep` snapshots taken for `reason`; returns the
+ * names removed
+ */
+export async function rotateSnapshots(reason, { dir = BACKUP_DIR, keep = BACKUP_KEEP } = {}) {
+  const old = (await listSnapshots({ dir })).filter(s => s.reason === reasonSlug(reason)).slice(keep);
+  for (const { name } of old) {
+    fs.rmSync(path.join(dir, name), { force: true });
+    fs.rmSync(path.join(dir, `${name}.sha256`), { force: true });
+  }
+  return old.map(s => s.name);
+}
+
+/**
+ * Write a snapshot of the live database. Must not run inside a transaction
+ * (see withExclusiveAccess). Returns the new snapshot's listing entry.
+ */
+export async function createSnapshot(db, { reason = "manual", dir = BACKUP_DIR, keep = BACKUP_KEEP, now = new Date() } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const slug = reasonSlug(reason);
+  const name = `snapshot-${timeForName(now)}-${slug}.db`;
+  const file = path.join(dir, name);
+  const partial = `${file}.partial`;
+
+  fs.rmSync(partial, { force: true });
+  try {
+    await db.run(`VACUUM INTO ?`, [partial]);
+    const sha256 = await sha256File(partial);
+    fs.renameSync(partial, file);
+    fs.writeFileSync(`${file}.sha256`, `${sha256}  ${name}\n`);
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+
+  await rotateSnapshots(slug, { dir, keep });
+  return { name, createdAt: now.toISOString(), reason: slug, size: fs.statSync(file).size, sha256: readChecksum(file) };
+}
+
+/**
+ * Check a snapshot before restoring it: its checksum must match and SQLite's
+ * integrity check must pass. Returns a list of problems (empty if it is fine).
+ */
+export async function checkSnapshot(file) {
+  const problems = [];
+  const expected = readChecksum(file);
+  if (!expected) {
+    problems.push("no checksum file");
+  } else if ((await sha256File(file)) !== expected) {
+    problems.push("checksum does not match");
+  }
+
+  let snapshotDb;
+  try {
+    // Not read-only: FTS5's part of the integrity check needs a writable handle (it changes nothing)
+    snapshotDb = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READWRITE });
+    const rows = await snapshotDb.all(`PRAGMA integrity_check`);
+    if (rows.length !== 1 || rows[0].integrity_check !== "ok") {
+      problems.push(`integrity check failed: ${rows.map(row => row.integrity_check).join("; ")}`);
+    }
+  } catch (err) {
+    problems.push(`cannot open snapshot: ${err.message}`);
+  } finally {
+    await snapshotDb?.close();
+  }
+  return problems;
+}
+
+/**
+ * Replace the contents of the open database with a snapshot, using SQLite's
+ * online backup API. Must not run inside a transaction.
+ */
+export function restoreSnapshot(db, file) {
+  return new Promise((resolve, reject) => {
+    const backup = db.getDatabaseInstance().backup(file, "main", "main", false, (err) => {
+      if (err) return reject(err);
+      backup.step(-1, (err) => {
+        if (err) {
+          backup.finish();
+          return reject(err);
+        }
+        backup.finish((err) => (err ? reject(err) : resolve()));
+      });
+    });
+  });
+}
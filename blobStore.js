@@ -0,0 +1,128 @@
+// blobStore.js -- content-addressed storage for inline images
+//
+// Images posted as data URIs are written once to <BLOB_DIR>/<aa>/<sha256>
+// (aa = first two hex digits) and referenced from the database as
+// "blobs/<sha256>", a path relative to the API base. The blobs table records
+// each file's content type and size.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const BLOB_DIR = process.env.BLOB_DIR || path.join(process.cwd(), "blobs");
+export const BLOB_PREFIX = "blobs/";
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export function isBlobHash(value) {
+  return HASH_PATTERN.test(value);
+}
+
+export function blobPath(hash) {
+  return path.join(BLOB_DIR, hash.slice(0, 2), hash);
+}
+
+// "blobs/<hash>" -> "<hash>", anything else -> null
+export function blobHashFromRef(ref) {
+  if (typeof ref !== "string" || !ref.startsWith(BLOB_PREFIX)) return null;
+  const hash = ref.slice(BLOB_PREFIX.length);
+  return isBlobHash(hash) ? hash : null;
+}
+
+// "<baseUrl>/blobs/<hash>", a blob URL as the API returns it -> "blobs/<hash>";
+// anything else is returned unchanged
+export function blobRefFromUrl(url, baseUrl) {
+  if (typeof url !== "string" || !url.startsWith(`${baseUrl}/`)) return url;
+  const ref = url.slice(baseUrl.length + 1);
+  return blobHashFromRef(ref) ? ref : url;
+}
+
+/**
+ * Decode a data: URI into { contentType, data }, or null if `value` is not one
+ */
+export function parseDataUri(value) {
+  if (typeof value !== "string" || !value.startsWith("data:")) return null;
+  const comma = value.indexOf(",");
+  if (comma === -1) return null;
+
+  const meta = value.slice(5, comma).split(";");
+  const base64 = meta[meta.length - 1] === "base64";
+  const contentType = meta[0] || "text/plain";
+  const payload = value.slice(comma + 1);
+
+  return {
+    contentType,
+    data: base64 ? Buffer.from(payload, "base64") : Buffer.from(decodeURIComponent(payload), "utf8"),
+  };
+}
+
+/**
+ * Store `data` (once per distinct content) and return its SHA-256 hash
+ */
+export async function storeBlob(db, data, contentType) {
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+  const file = blobPath(hash);
+
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temporary name first so a crash never leaves a truncated blob
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  }
+
+  await db.run(
+    `INSERT OR IGNORE INTO blobs (hash, content_type, size) VALUES (?, ?, ?)`,
+    [hash, contentType, data.length]
+  );
+  return hash;
+}
+
+/**
+ * If `url` is a data URI, move it into the store and return "blobs/<hash>";
+ * any other value is returned unchanged
+ */
+export async function externalizeDataUri(db, url) {
+  const parsed = parseDataUri(url);
+  if (!parsed) return url;
+  return BLOB_PREFIX + await storeBlob(db, parsed.data, parsed.contentType);
+}
+
+export async function getBlob(db, hash) {
+  return db.get(`SELECT hash, content_type, size, created_at FROM blobs WHERE hash = ?`, [hash]);
+}
+
+/**
+ * Delete blobs no user image refers to any more, now or in board_history (so
+ * past boards still show their images); returns how many went. Runs inside a
+ * transaction (`tx` from withTransaction): the files are removed once it
+ * commits, so a rollback never leaves rows pointing at deleted files.
+ */
+export async function removeUnreferencedBlobs(db, tx) {
+  const rows = await db.all(`
+    SELECT hash FROM blobs
+    WHERE NOT EXISTS (SELECT 1 FROM user_images WHERE imageUrl = '${BLOB_PREFIX}' || blobs.hash)
+      AND NOT EXISTS (
+        SELECT 1 FROM board_history
+        WHERE kind = 'image' AND json_extract(data, '$.imageUrl') = '${BLOB_PREFIX}' || blobs.hash
+      )
+  `);
+  for (const { hash } of rows) {
+    await db.run(`DELETE FROM blobs WHERE hash = ?`, [hash]);
+  }
+  tx.afterCommit(() => {
+    for (const { hash } of rows) {
+      fs.rmSync(blobPath(hash), { force: true });
+    }
+  });
+  return rows.length;
+}
+
+/**
+ * Hashes of blobs the database lists but whose files are gone, e.g. after
+ * restoring a snapshot from before removeUnreferencedBlobs deleted them
+ */
+export async function missingBlobFiles(db) {
+  const rows = await db.all(`SELECT hash FROM blobs ORDER BY hash`);
+  return rows.map(row => row.hash).filter(hash => !fs.existsSync(blobPath(hash)));
+}
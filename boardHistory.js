@@ -0,0 +1,101 @@
+// boardHistory.js -- a participant's board (pins and generated images) at any moment
+//
+// board_history (migration 16) gets an entry, from triggers on pinned_artworks
+// and user_images, every time one of their rows is added, changed or removed,
+// holding the row as it was afterwards. The board at time T is the newest
+// entry per item up to T, leaving out items whose newest entry is a removal.
+// History starts when the migration ran: what was on the board then counts as
+// added at its pinnedAt / dateAdded, and anything removed earlier is not known.
+
+// Fields that change on every update, so they are left out of "what changed"
+const BOOKKEEPING_FIELDS = ["version", "updatedAt"];
+
+/**
+ * A query parameter as an ISO timestamp, or `fallback` when it is missing.
+ * Accepts anything Date can parse, or milliseconds since 1970.
+ */
+export function parseTimestamp(value, name, fallback = null) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RangeError(`${name} should be a timestamp (ISO 8601 or milliseconds since 1970)`);
+  }
+  return date.toISOString();
+}
+
+const itemKey = (kind, id) => `${kind}:${id}`;
+
+// The newest entry per item up to `at`, keyed by itemKey; removed items are left out
+async function boardItems(db, userId, at) {
+  const rows = await db.all(
+    `SELECT kind, item_id, data, changedAt FROM (
+       SELECT *, ROW_NUMBER() OVER (PARTITION BY kind, item_id ORDER BY changedAt DESC, id DESC) as n
+       FROM board_history
+       WHERE user_id = ? AND changedAt <= ?
+     )
+     WHERE n = 1 AND action != 'remove'
+     ORDER BY changedAt, id`,
+    [userId, at]
+  );
+  return new Map(rows.map(row => [itemKey(row.kind, row.item_id), { kind: row.kind, row: JSON.parse(row.data) }]));
+}
+
+function split(items, format) {
+  const board = { pins: [], images: [] };
+  for (const { kind, row } of items) {
+    board[kind === "pin" ? "pins" : "images"].push(format(kind, row));
+  }
+  return board;
+}
+
+/**
+ * The pinned artworks and user images a participant had at `at`, as
+ * { at, pins, images }. `format(kind, row)` shapes each row for the response.
+ */
+export async function boardAt(db, userId, at, { format = (kind, row) => row } = {}) {
+  const items = await boardItems(db, userId, at);
+  return { at, ...split(items.values(), format) };
+}
+
+/**
+ * What changed on a participant's board between `from` and `to`: items added,
+ * removed and changed (with the names of the changed fields), plus every
+ * history entry in between, so pins that were dropped and put back show up too.
+ */
+export async function boardDiff(db, userId, from, to, { format = (kind, row) => row } = {}) {
+  if (from > to) {
+    throw new RangeError("from should not be after to");
+  }
+  const before = await boardItems(db, userId, from);
+  const after = await boardItems(db, userId, to);
+
+  const added = [...after].filter(([key]) => !before.has(key)).map(([, item]) => item);
+  const removed = [...before].filter(([key]) => !after.has(key)).map(([, item]) => item);
+  const changed = [];
+  for (const [key, item] of after) {
+    const old = before.get(key);
+    if (!old) continue;
+    const fields = Object.keys({ ...old.row, ...item.row })
+      .filter(field => !BOOKKEEPING_FIELDS.includes(field))
+      .filter(field => JSON.stringify(old.row[field]) !== JSON.stringify(item.row[field]));
+    if (fields.length > 0) {
+      changed.push({ kind: item.kind, change: { fields, before: format(item.kind, old.row), after: format(item.kind, item.row) } });
+    }
+  }
+
+  const events = await db.all(
+    `SELECT kind, item_id as itemId, action, changedAt FROM board_history
+     WHERE user_id = ? AND changedAt > ? AND changedAt <= ?
+     ORDER BY changedAt, id`,
+    [userId, from, to]
+  );
+
+  const byKind = (kind) => ({
+    added: added.filter(item => item.kind === kind).map(item => format(kind, item.row)),
+    removed: removed.filter(item => item.kind === kind).map(item => format(kind, item.row)),
+    changed: changed.filter(item => item.kind === kind).map(item => item.change),
+  });
+  return { from, to, pins: byKind("pin"), images: byKind("image"), events };
+}
@@ -0,0 +1,219 @@
+// comparisonReport.js -- between-condition comparison of per-session metrics
+//
+// Each participant did tasks on both systems (A/B) and under both conditions
+// (P/C), so every factor gets a paired comparison (participant means, matched
+// by participant) and an unpaired one (all sessions). Only P/C sessions are
+// tested: the FREE condition ran on system A task 3 alone, so pooling it would
+// confound the system comparison. Those sessions are described on their own.
+
+import { toCsv } from "./csv.js";
+import { describe, pairedTTest, welchTTest, wilcoxonSignedRank, mannWhitneyU } from "./stats.js";
+
+export const REPORT_METRICS = ["durationMs", "pinCount", "imageGeneratedCount", "anchorClickCount", "cameraDistance"];
+
+export const FACTORS = {
+  system: ["A", "B"],
+  condition: ["P", "C"],
+};
+
+// Mean of `metric` per participant, for the sessions at one level of a factor
+function participantMeans(rows, metric) {
+  const byUser = new Map();
+  for (const row of rows) {
+    if (!byUser.has(row.userId)) byUser.set(row.userId, []);
+    byUser.get(row.userId).push(row[metric]);
+  }
+  return new Map([...byUser].map(([userId, values]) => [userId, values.reduce((a, b) => a + b, 0) / values.length]));
+}
+
+// Sessions in the counterbalanced design, the only ones the tests use
+const inDesign = (m) => FACTORS.condition.includes(m.condition);
+
+function compare(metrics, factor, [levelA, levelB], metric) {
+  const rowsA = metrics.filter(m => m[factor] === levelA);
+  const rowsB = metrics.filter(m => m[factor] === levelB);
+  const valuesA = rowsA.map(m => m[metric]);
+  const valuesB = rowsB.map(m => m[metric]);
+
+  const meansA = participantMeans(rowsA, metric);
+  const meansB = participantMeans(rowsB, metric);
+  const paired = [...meansA.keys()].filter(userId => meansB.has(userId)).sort();
+  const pairedA = paired.map(userId => meansA.get(userId));
+  const pairedB = paired.map(userId => meansB.get(userId));
+
+  return {
+    factor,
+    levelA,
+    levelB,
+    metric,
+    a: describe(valuesA),
+    b: describe(valuesB),
+    paired: {
+      n: paired.length,
+      wilcoxon: wilcoxonSignedRank(pairedA, pairedB),
+      tTest: pairedTTest(pairedA, pairedB),
+    },
+    unpaired: {
+      mannWhitney: mannWhitneyU(valuesA, valuesB),
+      welch: welchTTest(valuesA, valuesB),
+    },
+  };
+}
+
+/**
+ * Descriptives per system x condition cell plus paired and unpaired tests for
+ * each factor, from computeSessionMetrics() rows. Cells outside the P/C design
+ * (FREE, or no condition) get descriptives and are listed in outsideDesign.
+ */
+export function buildComparisonReport(metrics) {
+  const cells = new Map();
+  for (const m of metrics) {
+    const id = `${m.system}|${m.condition}`;
+    if (!cells.has(id)) cells.set(id, { system: m.system, condition: m.condition, rows: [] });
+    cells.get(id).rows.push(m);
+  }
+
+  const groups = [...cells.values()]
+    .sort((a, b) => `${a.system}${a.condition}`.localeCompare(`${b.system}${b.condition}`))
+    .map(({ system, condition, rows }) => ({
+      system,
+      condition,
+      sessions: rows.length,
+      stats: Object.fromEntries(REPORT_METRICS.map(metric => [metric, describe(rows.map(r => r[metric]))])),
+    }));
+
+  const tested = metrics.filter(inDesign);
+  const comparisons = Object.entries(FACTORS).flatMap(([factor, levels]) =>
+    REPORT_METRICS.map(metric => compare(tested, factor, levels, metric))
+  );
+  const outsideDesign = groups.filter(g => !inDesign(g)).map(({ system, condition, sessions }) => ({ system, condition, sessions }));
+
+  return { metrics: REPORT_METRICS, sessions: metrics.length, testedSessions: tested.length, groups, outsideDesign, comparisons };
+}
+
+const CSV_COLUMNS = [
+  "factor", "levelA", "levelB", "metric",
+  "nA", "meanA", "sdA", "medianA", "nB", "meanB", "sdB", "medianB",
+  "pairedN", "wilcoxonWPlus", "wilcoxonZ", "wilcoxonP", "wilcoxonRankBiserial",
+  "pairedT", "pairedDf", "pairedP", "cohensDz",
+  "mannWhitneyU", "mannWhitneyZ", "mannWhitneyP", "mannWhitneyRankBiserial",
+  "welchT", "welchDf", "welchP", "cohensD",
+];
+
+/**
+ * One CSV row per factor x metric comparison
+ */
+export function comparisonReportToCsv(report) {
+  const rows = report.comparisons.map(c => ({
+    factor: c.factor,
+    levelA: c.levelA,
+    levelB: c.levelB,
+    metric: c.metric,
+    nA: c.a.n,
+    meanA: c.a.mean,
+    sdA: c.a.sd,
+    medianA: c.a.median,
+    nB: c.b.n,
+    meanB: c.b.mean,
+    sdB: c.b.sd,
+    medianB: c.b.median,
+    pairedN: c.paired.n,
+    wilcoxonWPlus: c.paired.wilcoxon?.wPlus,
+    wilcoxonZ: c.paired.wilcoxon?.z,
+    wilcoxonP: c.paired.wilcoxon?.p,
+    wilcoxonRankBiserial: c.paired.wilcoxon?.rankBiserial,
+    pairedT: c.paired.tTest?.t,
+    pairedDf: c.paired.tTest?.df,
+    pairedP: c.paired.tTest?.p,
+    cohensDz: c.paired.tTest?.cohensDz,
+    mannWhitneyU: c.unpaired.mannWhitney?.u,
+    mannWhitneyZ: c.unpaired.mannWhitney?.z,
+    mannWhitneyP: c.unpaired.mannWhitney?.p,
+    mannWhitneyRankBiserial: c.unpaired.mannWhitney?.rankBiserial,
+    welchT: c.unpaired.welch?.t,
+    welchDf: c.unpaired.welch?.df,
+    welchP: c.unpaired.welch?.p,
+    cohensD: c.unpaired.welch?.cohensD,
+  }));
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+function fmt(value) {
+  if (value === null || value === undefined) return "–";
+  if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString("en-US");
+  return Number(value.toPrecision(3)).toString();
+}
+
+function fmtP(p) {
+  if (p === null || p === undefined) return "–";
+  const text = p < 0.001 ? "&lt; .001" : p.toFixed(3).replace(/^0/, "");
+  return p < 0.05 ? `<strong>${text}</strong>` : text;
+}
+
+/**
+ * A standalone HTML page with the descriptive and comparison tables
+ */
+export function comparisonReportToHtml(report) {
+  const groupRows = report.groups.flatMap(g => report.metrics.map(metric => {
+    const s = g.stats[metric];
+    return `<tr><td>${g.system}</td><td>${g.condition ?? "–"}</td><td>${metric}</td><td>${s.n}</td>` +
+      `<td>${fmt(s.mean)}</td><td>${fmt(s.sd)}</td><td>${fmt(s.median)}</td><td>${fmt(s.q1)}–${fmt(s.q3)}</td></tr>`;
+  }));
+
+  const outside = report.outsideDesign.map(g => `${g.system}/${g.condition ?? "no condition"}: ${g.sessions}`);
+  const outsideNote = outside.length > 0
+    ? ` ${report.sessions - report.testedSessions} sessions outside the P/C design (${outside.join(", ")}) are described but not tested.`
+    : "";
+
+  const comparisonRows = report.comparisons.map(c =>
+    `<tr><td>${c.factor}: ${c.levelA} vs ${c.levelB}</td><td>${c.metric}</td>` +
+    `<td>${fmt(c.a.mean)} (${fmt(c.a.sd)})</td><td>${fmt(c.b.mean)} (${fmt(c.b.sd)})</td>` +
+    `<td>${c.paired.n}</td><td>${fmt(c.paired.wilcoxon?.z)}</td><td>${fmtP(c.paired.wilcoxon?.p)}</td><td>${fmt(c.paired.wilcoxon?.rankBiserial)}</td>` +
+    `<td>${fmt(c.paired.tTest?.t)}</td><td>${fmtP(c.paired.tTest?.p)}</td><td>${fmt(c.paired.tTest?.cohensDz)}</td>` +
+    `<td>${fmt(c.unpaired.mannWhitney?.u)}</td><td>${fmtP(c.unpaired.mannWhitney?.p)}</td><td>${fmt(c.unpaired.mannWhitney?.rankBiserial)}</td>` +
+    `<td>${fmt(c.unpaired.welch?.t)}</td><td>${fmtP(c.unpaired.welch?.p)}</td><td>${fmt(c.unpaired.welch?.cohensD)}</td></tr>`
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Condition Comparison Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; line-height: 1.6; }
+        h1, h2 { color: #333; }
+        table { border-collapse: collapse; margin-top: 10px; margin-bottom: 30px; font-size: 14px; }
+        th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+        th { background-color: #f2f2f2; }
+        tr:nth-child(even) { background-color: #f9f9f9; }
+        .note { color: #666; font-size: 13px; }
+    </style>
+</head>
+<body>
+    <h1>Condition Comparison Report</h1>
+    <p class="note">${report.sessions} sessions. Paired tests compare participant means matched by participant; unpaired tests use every session. p-values are two-sided; bold p &lt; .05.${outsideNote}</p>
+
+    <h2>Descriptive statistics</h2>
+    <table>
+        <thead><tr><th>System</th><th>Condition</th><th>Metric</th><th>n</th><th>Mean</th><th>SD</th><th>Median</th><th>IQR</th></tr></thead>
+        <tbody>
+${groupRows.join("\n")}
+        </tbody>
+    </table>
+
+    <h2>Comparisons</h2>
+    <table>
+        <thead>
+            <tr><th rowspan="2">Factor</th><th rowspan="2">Metric</th><th rowspan="2">Mean (SD) A</th><th rowspan="2">Mean (SD) B</th>
+                <th colspan="4">Wilcoxon signed-rank</th><th colspan="3">Paired t</th><th colspan="3">Mann-Whitney U</th><th colspan="3">Welch t</th></tr>
+            <tr><th>pairs</th><th>z</th><th>p</th><th>r</th><th>t</th><th>p</th><th>d<sub>z</sub></th>
+                <th>U</th><th>p</th><th>r</th><th>t</th><th>p</th><th>d</th></tr>
+        </thead>
+        <tbody>
+${comparisonRows.join("\n")}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,23 @@
+// csv.js -- small CSV helpers for the export and analysis endpoints
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * One CSV line (with trailing newline) from an array of values
+ */
+export function csvRow(values) {
+  return values.map(csvCell).join(",") + "\n";
+}
+
+/**
+ * A CSV document from row objects, with one column per entry in `columns`
+ */
+export function toCsv(rows, columns) {
+  return csvRow(columns) + rows.map(row => csvRow(columns.map(col => row[col]))).join("");
+}
@@ -0,0 +1,92 @@
+// eventSchemas.js -- registry of the interaction events the front end emits
+//
+// Each schema lists the event_data fields that must be present, keyed by a dot
+// path into the event, with the type they must have. Events whose message is not
+// in the registry are stored as-is and never reported as invalid.
+
+// Fields every known event carries so logs can be split by task and system
+const COMMON_FIELDS = {
+  taskNumber: "integerLike",
+  system: "system",
+  condition: "string",
+};
+
+export const EVENT_SCHEMAS = {
+  pageLoaded: {},
+  cameraIdled: {
+    "cameraPosition.x": "number",
+    "cameraPosition.y": "number",
+    "cameraPosition.z": "number",
+    mapLevel: "number",
+  },
+  modalOpened: {
+    "details.selectedItemId": "string",
+    "details.itemType": "string",
+  },
+  focusingCameraOnImage: {
+    "artworkData.id": "string",
+    "artworkData.worldCoords": "coords",
+  },
+  imagePinned: {
+    "artworkData.id": "string",
+    "artworkData.worldCoords": "coords",
+  },
+  anchorImageClicked: {
+    userImageId: "string",
+    "artworkData.id": "string",
+    "artworkData.worldCoords": "coords",
+  },
+  imageGenerated: {
+    "userImageData.id": "string",
+    "userImageData.worldCoords": "coords",
+  },
+  imageDownloaded: {
+    "details.selectedItemId": "string",
+  },
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === "string" && value.length > 0,
+  number: value => typeof value === "number" && Number.isFinite(value),
+  integerLike: value => /^\d+$/.test(String(value)),
+  system: value => value === "A" || value === "B",
+  coords: value => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite),
+};
+
+const TYPE_DESCRIPTIONS = {
+  string: "a non-empty string",
+  number: "a number",
+  integerLike: "a whole number",
+  system: `"A" or "B"`,
+  coords: "an [x, y] array of numbers",
+};
+
+function getPath(obj, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+export function isKnownEvent(message) {
+  return Object.hasOwn(EVENT_SCHEMAS, message);
+}
+
+/**
+ * Check event_data against the schema for its message.
+ * Returns a list of problems; empty if valid or if the event type is unknown.
+ */
+export function validateEvent(eventData) {
+  if (!isKnownEvent(eventData?.message)) {
+    return [];
+  }
+
+  const fields = { ...COMMON_FIELDS, ...EVENT_SCHEMAS[eventData.message] };
+  const errors = [];
+  for (const [path, type] of Object.entries(fields)) {
+    const value = getPath(eventData, path);
+    if (value === undefined || value === null) {
+      errors.push(`Missing ${path}`);
+    } else if (!TYPE_CHECKS[type](value)) {
+      errors.push(`${path} should be ${TYPE_DESCRIPTIONS[type]}`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,70 @@
+// exportLogs.js -- write per-task log files into user_logs/ (replaces extract_logs.py)
+//
+// Usage:
+//   node exportLogs.js <user_id> [--db path/to/database.db] [--output-dir user_logs] [--pretty]
+//   node exportLogs.js --all [--db path/to/database.db] [--output-dir user_logs] [--pretty]
+
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import fs from "fs";
+import { writeUserTaskFiles } from "./logExport.js";
+
+function parseArgs(argv) {
+  const args = { userId: null, all: false, db: "database.db", outputDir: "user_logs", pretty: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--db") {
+      args.db = argv[++i];
+    } else if (argv[i] === "--output-dir") {
+      args.outputDir = argv[++i];
+    } else if (argv[i] === "--pretty") {
+      args.pretty = true;
+    } else if (argv[i] === "--all") {
+      args.all = true;
+    } else {
+      args.userId = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.userId && !args.all) {
+    console.error("Usage: node exportLogs.js <user_id>|--all [--db database.db] [--output-dir user_logs] [--pretty]");
+    process.exit(1);
+  }
+  if (!fs.existsSync(args.db)) {
+    console.error(`Error: Database file '${args.db}' not found`);
+    process.exit(1);
+  }
+
+  const db = await open({ filename: args.db, driver: sqlite3.Database });
+
+  try {
+    const userIds = args.all
+      ? (await db.all(`SELECT DISTINCT user_id FROM user_logs ORDER BY user_id`)).map(row => row.user_id)
+      : [args.userId];
+
+    let fileCount = 0;
+    for (const userId of userIds) {
+      const created = await writeUserTaskFiles(db, userId, args.outputDir, { pretty: args.pretty });
+      if (created.length === 0) {
+        console.log(`No logs found for user ${userId}`);
+        continue;
+      }
+      for (const file of created) {
+        console.log(`Created: ${file.path} (${file.logCount} logs)`);
+      }
+      fileCount += created.length;
+    }
+
+    console.log(`\nSuccessfully created ${fileCount} files in ${args.outputDir}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+// heatmaps.js -- spatial aggregation of camera movement and pins
+//
+// Camera density bins cameraIdled.cameraPosition (x, y) in scene units; pin
+// density bins imagePinned.artworkData.worldCoords, which are normalized map
+// coordinates in [0, 1]. Grids are indexed grid[row][col] with row 0 at min y.
+
+import { PIN_EVENTS } from "./metrics.js";
+
+export const PIN_BOUNDS = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+
+/**
+ * Ordered camera positions for one task: [{ t, x, y, z, mapLevel }]
+ */
+export function cameraTrajectory(logs) {
+  return logs
+    .filter(log => log.message === "cameraIdled" && log.event_data?.cameraPosition)
+    .map(log => {
+      const { x, y, z } = log.event_data.cameraPosition;
+      return { t: log.timestamp, x, y, z, mapLevel: log.event_data.mapLevel ?? null };
+    });
+}
+
+/**
+ * World coordinates of every pin made during one task: [{ t, id, x, y }]
+ */
+export function pinnedPoints(logs) {
+  return logs
+    .filter(log => PIN_EVENTS.includes(log.message) && Array.isArray(log.event_data?.artworkData?.worldCoords))
+    .map(log => {
+      const [x, y] = log.event_data.artworkData.worldCoords;
+      return { t: log.timestamp, id: log.event_data.artworkData.id, x, y };
+    });
+}
+
+/**
+ * Bounding box of a set of points (unit box when there are none)
+ */
+export function pointBounds(points) {
+  if (points.length === 0) {
+    return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  }
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const bounds = { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+  if (bounds.maxX === bounds.minX) bounds.maxX += 1;
+  if (bounds.maxY === bounds.minY) bounds.maxY += 1;
+  return bounds;
+}
+
+/**
+ * Count points into a size x size grid over `bounds`. Points outside the bounds
+ * are clamped into the nearest edge cell.
+ */
+export function densityGrid(points, bounds, size) {
+  const grid = Array.from({ length: size }, () => new Array(size).fill(0));
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+  const cell = (value, min, extent) => Math.min(size - 1, Math.max(0, Math.floor(((value - min) / extent) * size)));
+
+  for (const p of points) {
+    if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+    grid[cell(p.y, bounds.minY, height)][cell(p.x, bounds.minX, width)]++;
+  }
+
+  return { bounds, size, total: points.length, max: Math.max(0, ...grid.flat()), grid };
+}
+
+// Light yellow -> orange -> dark red
+const RAMP = [[255, 255, 204], [253, 141, 60], [128, 0, 38]];
+
+function rampColor(t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (RAMP.length - 1);
+  const i = Math.min(RAMP.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  const [r, g, b] = RAMP[i].map((c, k) => Math.round(c + (RAMP[i + 1][k] - c) * f));
+  return `rgb(${r},${g},${b})`;
+}
+
+function escapeXml(str) {
+  return String(str).replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
+
+/**
+ * Render density grids as side-by-side SVG panels: [{ label, density }]
+ */
+export function renderHeatmapSvg(panels, { cellSize = 12 } = {}) {
+  const gap = 20;
+  const titleHeight = 24;
+  const panelSize = Math.max(1, ...panels.map(p => p.density.size)) * cellSize;
+  const width = Math.max(1, panels.length) * (panelSize + gap) + gap;
+  const height = panelSize + titleHeight + gap * 2;
+
+  const body = panels.map(({ label, density }, index) => {
+    const x0 = gap + index * (panelSize + gap);
+    const y0 = gap + titleHeight;
+    const cells = [];
+    density.grid.forEach((row, r) => {
+      row.forEach((count, c) => {
+        if (count === 0) return;
+        cells.push(
+          `<rect x="${x0 + c * cellSize}" y="${y0 + r * cellSize}" width="${cellSize}" height="${cellSize}" ` +
+          `fill="${rampColor(count / density.max)}"><title>${count}</title></rect>`
+        );
+      });
+    });
+    return [
+      `<text x="${x0}" y="${gap + 14}" font-family="sans-serif" font-size="13">${escapeXml(label)} (n=${density.total})</text>`,
+      `<rect x="${x0}" y="${y0}" width="${density.size * cellSize}" height="${density.size * cellSize}" fill="#f8f9fa" stroke="#ccc"/>`,
+      ...cells,
+    ].join("\n");
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${body.join("\n")}\n</svg>\n`;
+}
+
+const GROUP_FIELDS = {
+  participant: "userId",
+  system: "system",
+  condition: "condition",
+  task: "taskNumber",
+};
+
+/**
+ * Density grids per group of tasks. `groupBy` is a comma-separated list of
+ * participant / system / condition / task; an empty list pools everything.
+ * Camera grids share one bounding box so groups can be compared cell for cell.
+ */
+export function heatmapGroups(sessions, { groupBy = "participant", size = 20 } = {}) {
+  const fields = groupBy
+    ? groupBy.split(",").map(name => name.trim()).filter(Boolean)
+    : [];
+  const unknown = fields.filter(name => !GROUP_FIELDS[name]);
+  if (unknown.length > 0) {
+    throw new RangeError(`Unknown groupBy field(s): ${unknown.join(", ")}`);
+  }
+
+  const groups = new Map();
+  for (const session of sessions) {
+    const key = Object.fromEntries(fields.map(name => [name, session[GROUP_FIELDS[name]]]));
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      groups.set(id, { group: key, sessions: 0, camera: [], pins: [] });
+    }
+    const entry = groups.get(id);
+    entry.sessions++;
+    entry.camera.push(...cameraTrajectory(session.logs));
+    entry.pins.push(...pinnedPoints(session.logs));
+  }
+
+  const cameraBounds = pointBounds([...groups.values()].flatMap(g => g.camera));
+
+  return [...groups.values()].map(g => ({
+    group: g.group,
+    label: fields.length ? fields.map(name => `${name} ${g.group[name]}`).join(", ") : "all",
+    sessions: g.sessions,
+    camera: densityGrid(g.camera, cameraBounds, size),
+    pins: densityGrid(g.pins, PIN_BOUNDS, size),
+  })).sort((a, b) => a.label.localeCompare(b.label));
+}
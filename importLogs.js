@@ -0,0 +1,86 @@
+// importLogs.js -- load user_logs/ archives back into the database (the reverse of exportLogs.js)
+//
+// Usage:
+//   node importLogs.js <user_id> [--db path/to/database.db] [--logs-dir user_logs] [--dry-run]
+//   node importLogs.js --all [--db path/to/database.db] [--logs-dir user_logs] [--dry-run]
+//
+// Brings the schema up to date first, like the server does. Prints a
+// reconciliation report and exits with status 2 if any archive and the
+// database still disagree.
+
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import fs from "fs";
+import { migrate, migrationStatus } from "./migrations.js";
+import { readArchives, importArchives, formatImportReport } from "./logImport.js";
+
+function parseArgs(argv) {
+  const args = { userId: null, all: false, db: "database.db", logsDir: "user_logs", dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--db") {
+      args.db = argv[++i];
+    } else if (argv[i] === "--logs-dir") {
+      args.logsDir = argv[++i];
+    } else if (argv[i] === "--dry-run") {
+      args.dryRun = true;
+    } else if (argv[i] === "--all") {
+      args.all = true;
+    } else {
+      args.userId = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.userId && !args.all) {
+    console.error("Usage: node importLogs.js <user_id>|--all [--db database.db] [--logs-dir user_logs] [--dry-run]");
+    process.exit(1);
+  }
+  if (!fs.existsSync(args.logsDir)) {
+    console.error(`Error: Logs directory '${args.logsDir}' not found`);
+    process.exit(1);
+  }
+
+  const entries = readArchives(args.logsDir, { userId: args.all ? undefined : args.userId });
+  if (entries.length === 0) {
+    console.error(`No archives found in ${args.logsDir}${args.userId ? ` for user ${args.userId}` : ""}`);
+    process.exit(1);
+  }
+
+  const db = await open({ filename: args.db, driver: sqlite3.Database });
+
+  try {
+    // A dry run must not change anything, the schema included
+    const pending = (await migrationStatus(db)).filter(m => !m.appliedAt);
+    if (args.dryRun && pending.length > 0) {
+      throw new Error(`${args.db} has ${pending.length} pending migration(s); run "node migrate.js up --db ${args.db}" first`);
+    }
+    await migrate(db);
+
+    await db.exec("BEGIN IMMEDIATE");
+    let report;
+    try {
+      report = await importArchives(db, entries, { dryRun: args.dryRun });
+      await db.exec(args.dryRun ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw err;
+    }
+
+    console.log(formatImportReport(report));
+    if (args.dryRun) {
+      console.log("\nDry run: nothing was written.");
+    }
+
+    process.exitCode = report.totals.unreconciled > 0 || report.tasksWithoutArchive.length > 0 ? 2 : 0;
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
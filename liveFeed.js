@@ -0,0 +1,86 @@
+// liveFeed.js -- in-process publish/subscribe for the live monitoring feed
+//
+// Write routes publish what they just stored; subscribers (the dashboard's
+// Server-Sent Events stream) get every item for the participants they watch.
+// Each participant is "active" until nothing has arrived from them for
+// idleAfterMs, then "idle"; status changes are published like any other item.
+
+export const DEFAULT_IDLE_AFTER_MS = 60 * 1000;
+
+export function createLiveFeed({ idleAfterMs = DEFAULT_IDLE_AFTER_MS, checkEveryMs = 5000 } = {}) {
+  const subscribers = new Set();
+  const participants = new Map(); // userId -> { userId, status, lastSeen, lastType, lastMessage }
+
+  function deliver(item) {
+    for (const { userIds, listener } of subscribers) {
+      if (!userIds || userIds.has(item.userId)) {
+        listener(item);
+      }
+    }
+  }
+
+  function statusItem(participant) {
+    return { type: "status", userId: participant.userId, at: new Date().toISOString(), data: { ...participant } };
+  }
+
+  /**
+   * Announce something a participant's client just did
+   */
+  function publish(type, userId, data = {}) {
+    const now = new Date().toISOString();
+    const previous = participants.get(userId);
+    const participant = {
+      userId,
+      status: "active",
+      lastSeen: now,
+      lastType: type,
+      lastMessage: type === "log" ? data.message ?? null : previous?.lastMessage ?? null,
+    };
+    participants.set(userId, participant);
+
+    if (previous?.status !== "active") {
+      deliver(statusItem(participant));
+    }
+    deliver({ type, userId, at: now, data });
+  }
+
+  // Flip participants to idle once they have been quiet long enough
+  const timer = setInterval(() => {
+    const cutoff = Date.now() - idleAfterMs;
+    for (const participant of participants.values()) {
+      if (participant.status === "active" && new Date(participant.lastSeen).getTime() < cutoff) {
+        participant.status = "idle";
+        deliver(statusItem(participant));
+      }
+    }
+  }, checkEveryMs);
+  timer.unref();
+
+  return {
+    idleAfterMs,
+    publish,
+
+    /**
+     * Call `listener(item)` for new items, optionally only for some userIds.
+     * Returns an unsubscribe function.
+     */
+    subscribe(listener, { userIds } = {}) {
+      const subscriber = { userIds: userIds?.length ? new Set(userIds) : null, listener };
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+
+    // Current status of every participant seen since the server started
+    participants(userIds) {
+      return [...participants.values()]
+        .filter(p => !userIds?.length || userIds.includes(p.userId))
+        .map(p => ({ ...p }))
+        .sort((a, b) => a.userId.localeCompare(b.userId));
+    },
+
+    close() {
+      clearInterval(timer);
+      subscribers.clear();
+    },
+  };
+}
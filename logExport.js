@@ -0,0 +1,260 @@
+// logExport.js -- per-task log files in the user_logs/ format
+//
+// Produces the same {user_id, task, log_count, logs} files as extract_logs.py,
+// byte for byte: logs are grouped by the system/taskNumber fields in event_data
+// and serialized the way Python's json.dump writes them.
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * All logs for a user, oldest first, with event_data parsed
+ */
+export async function getUserLogs(db, userId) {
+  const rows = await db.all(
+    `SELECT id, user_id, timestamp, message, event_data, created_at, session_id
+     FROM user_logs
+     WHERE user_id = ?
+     ORDER BY timestamp ASC`,
+    [userId]
+  );
+
+  return rows.map(row => {
+    let eventData;
+    try {
+      eventData = JSON.parse(row.event_data);
+    } catch (e) {
+      console.warn(`Warning: Could not parse event_data for log id ${row.id}: ${e.message}`);
+      eventData = { raw: row.event_data };
+    }
+    return { ...row, event_data: eventData };
+  });
+}
+
+// Format a value the way Python's str() would inside an f-string
+function pythonStr(value) {
+  if (value === null) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (typeof value === "number") return pythonNumber(value);
+  return String(value);
+}
+
+/**
+ * Group logs into {"systemA_task1": [...]} using their event_data fields
+ */
+export function organizeLogsByTask(logs) {
+  const organized = {};
+
+  for (const log of logs) {
+    const eventData = log.event_data || {};
+    const taskNumber = "taskNumber" in eventData ? eventData.taskNumber : "unknown";
+    const system = "system" in eventData ? eventData.system : "unknown";
+    const key = `system${pythonStr(system)}_task${pythonStr(taskNumber)}`;
+
+    (organized[key] ||= []).push(archivedLog(log));
+  }
+
+  return organized;
+}
+
+// A log as the task files hold it
+function archivedLog(log) {
+  return {
+    id: log.id,
+    timestamp: log.timestamp,
+    message: log.message,
+    event_data: log.event_data || {},
+    created_at: log.created_at,
+  };
+}
+
+/**
+ * The file contents for one task: {user_id, task, log_count, logs}
+ */
+export function taskFile(userId, taskKey, logs) {
+  return {
+    user_id: userId,
+    task: taskKey,
+    log_count: logs.length,
+    logs,
+  };
+}
+
+export function taskFileName(userId, taskKey) {
+  return `${userId}_${taskKey}.json`;
+}
+
+// Python's repr() switches to exponent notation outside 1e-4 <= |x| < 1e16
+// and always writes at least two exponent digits
+function pythonNumber(n) {
+  if (Number.isInteger(n)) {
+    return String(n);
+  }
+  const [mantissa, exponent] = n.toExponential().split("e");
+  const exp = Number(exponent);
+  if (exp >= -4 && exp < 16) {
+    return String(n);
+  }
+  const sign = exp < 0 ? "-" : "+";
+  return `${mantissa}e${sign}${String(Math.abs(exp)).padStart(2, "0")}`;
+}
+
+// json.dumps escapes every non-ASCII character (ensure_ascii=True)
+function pythonString(str) {
+  return JSON.stringify(str).replace(/[\u0080-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+}
+
+/**
+ * Serialize like Python's json.dumps: compact (", " / ": ") by default, or
+ * indent=2 with sorted keys when pretty
+ */
+export function toPythonJson(value, pretty = false, depth = 0) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") return pythonNumber(value);
+  if (typeof value === "string") return pythonString(value);
+
+  const isArray = Array.isArray(value);
+  let items;
+  if (isArray) {
+    items = value.map(item => toPythonJson(item, pretty, depth + 1));
+  } else {
+    const keys = pretty ? Object.keys(value).sort() : Object.keys(value);
+    items = keys.map(key => `${pythonString(key)}: ${toPythonJson(value[key], pretty, depth + 1)}`);
+  }
+  const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+
+  if (items.length === 0) {
+    return open + close;
+  }
+  if (!pretty) {
+    return open + items.join(", ") + close;
+  }
+  const inner = "  ".repeat(depth + 1);
+  return `${open}\n${inner}${items.join(`,\n${inner}`)}\n${"  ".repeat(depth)}${close}`;
+}
+
+/**
+ * Write one file per task into <outputDir>/<userId>/; returns [{ path, logCount }]
+ */
+export async function writeUserTaskFiles(db, userId, outputDir = "user_logs", { pretty = false } = {}) {
+  const taskLogs = organizeLogsByTask(await getUserLogs(db, userId));
+  const userFolder = path.join(outputDir, userId);
+  const created = [];
+
+  if (Object.keys(taskLogs).length === 0) {
+    return created;
+  }
+
+  fs.mkdirSync(userFolder, { recursive: true });
+  for (const taskKey of Object.keys(taskLogs).sort()) {
+    const filePath = path.join(userFolder, taskFileName(userId, taskKey));
+    fs.writeFileSync(filePath, toPythonJson(taskFile(userId, taskKey, taskLogs[taskKey]), pretty));
+    created.push({ path: filePath, logCount: taskLogs[taskKey].length });
+  }
+
+  return created;
+}
+
+// "systemA_task2" -> { system: "A", taskNumber: "2" }
+export function parseTaskKey(taskKey) {
+  const match = /^system(.*)_task(.*)$/.exec(taskKey);
+  return match ? { system: match[1], taskNumber: match[2] } : { system: "unknown", taskNumber: "unknown" };
+}
+
+// The study condition (P/C) a task ran under, from the first event that records it
+function taskCondition(logs) {
+  const log = logs.find(l => l.event_data?.condition);
+  return log ? String(log.event_data.condition).toUpperCase() : null;
+}
+
+/**
+ * A user's logs per study session, taking system, task number and condition
+ * from the sessions table. Logs recorded outside any session (before sessions
+ * existed) are grouped by their event_data fields, as in the export.
+ */
+async function userTaskLogs(db, userId) {
+  const logs = await getUserLogs(db, userId);
+  const sessionRows = await db.all(`SELECT id, system, task_number, condition FROM sessions WHERE user_id = ? ORDER BY started_at`, [userId]);
+
+  const tasks = [];
+  for (const session of sessionRows) {
+    const sessionLogs = logs.filter(log => log.session_id === session.id).map(archivedLog);
+    if (sessionLogs.length === 0) continue;
+    const system = session.system ?? "unknown";
+    const taskNumber = session.task_number === null ? "unknown" : String(session.task_number);
+    tasks.push({
+      userId,
+      task: `system${system}_task${taskNumber}`,
+      sessionId: session.id,
+      system,
+      taskNumber,
+      condition: session.condition ? session.condition.toUpperCase() : taskCondition(sessionLogs),
+      logs: sessionLogs,
+    });
+  }
+
+  const known = new Set(sessionRows.map(session => session.id));
+  const taskLogs = organizeLogsByTask(logs.filter(log => !known.has(log.session_id)));
+  for (const task of Object.keys(taskLogs).sort()) {
+    tasks.push({ userId, task, sessionId: null, ...parseTaskKey(task), condition: taskCondition(taskLogs[task]), logs: taskLogs[task] });
+  }
+  return tasks;
+}
+
+/**
+ * Per-task logs for analysis, as [{ userId, task, sessionId, system, taskNumber, condition, logs }].
+ *
+ * source "db" has one entry per study session (see userTaskLogs); source
+ * "files" reads the exported user_logs/<P>/*.json archives instead, one entry
+ * per file, with a null sessionId.
+ */
+export async function loadTaskLogs({ db, source = "db", userId, logsDir = path.join(process.cwd(), "user_logs") }) {
+  const sessions = [];
+
+  if (source === "files") {
+    if (!fs.existsSync(logsDir)) {
+      return sessions;
+    }
+    const participants = fs.readdirSync(logsDir)
+      .filter(item => fs.statSync(path.join(logsDir, item)).isDirectory())
+      .filter(item => !userId || item === userId)
+      .sort();
+
+    for (const participant of participants) {
+      const files = fs.readdirSync(path.join(logsDir, participant)).filter(file => file.endsWith(".json")).sort();
+      for (const file of files) {
+        const data = JSON.parse(fs.readFileSync(path.join(logsDir, participant, file), "utf8"));
+        sessions.push({
+          userId: data.user_id,
+          task: data.task,
+          sessionId: null,
+          ...parseTaskKey(data.task),
+          condition: taskCondition(data.logs),
+          logs: data.logs,
+        });
+      }
+    }
+    return sessions;
+  }
+
+  const userIds = userId
+    ? [userId]
+    : (await db.all(`SELECT DISTINCT user_id FROM user_logs ORDER BY user_id`)).map(row => row.user_id);
+
+  for (const id of userIds) {
+    sessions.push(...(await userTaskLogs(db, id)));
+  }
+  return sessions;
+}
+
+/**
+ * Keep the task logs matching the optional system / taskNumber / condition filters
+ */
+export function filterTaskLogs(sessions, { system, taskNumber, condition } = {}) {
+  return sessions
+    .filter(s => !system || s.system === system)
+    .filter(s => !taskNumber || String(s.taskNumber) === String(taskNumber))
+    .filter(s => !condition || s.condition === String(condition).toUpperCase());
+}
@@ -0,0 +1,309 @@
+// logImport.js -- load user_logs/ archives back into the database
+//
+// Archives are the {user_id, task, log_count, logs} files written by
+// exportLogs.js. Each log is inserted with its original id, timestamp and
+// created_at. Logs that are already stored (same id and event, or for logs
+// without an id, the same event) are skipped; an id that is taken by a
+// different event is a conflict and is left alone. Afterwards every archive is reconciled against
+// what the database holds for that participant and task.
+
+import fs from "fs";
+import path from "path";
+import { getUserLogs, organizeLogsByTask } from "./logExport.js";
+import { createAnonymizer } from "./privacy.js";
+
+/**
+ * Every archive under `logsDir` (only `userId`'s folder if given), as
+ * [{ file, archive }] or [{ file, error }] for files that cannot be read
+ */
+export function readArchives(logsDir, { userId } = {}) {
+  if (!fs.existsSync(logsDir)) {
+    return [];
+  }
+  const participants = fs.readdirSync(logsDir)
+    .filter(item => fs.statSync(path.join(logsDir, item)).isDirectory())
+    .filter(item => !userId || item === userId)
+    .sort();
+
+  return participants.flatMap(participant =>
+    fs.readdirSync(path.join(logsDir, participant))
+      .filter(file => file.endsWith(".json"))
+      .sort()
+      .map(file => {
+        const filePath = path.join(logsDir, participant, file);
+        try {
+          return { file: filePath, archive: JSON.parse(fs.readFileSync(filePath, "utf8")) };
+        } catch (err) {
+          return { file: filePath, error: `Cannot read archive: ${err.message}` };
+        }
+      })
+  );
+}
+
+// What is wrong with an archive's top-level fields, or null
+function archiveProblem(archive) {
+  if (!archive || typeof archive !== "object" || Array.isArray(archive)) return "not a JSON object";
+  if (typeof archive.user_id !== "string" || !archive.user_id) return "user_id is missing";
+  if (typeof archive.task !== "string" || !archive.task) return "task is missing";
+  if (!Array.isArray(archive.logs)) return "logs is not an array";
+  return null;
+}
+
+// What is wrong with one log entry, or null
+function logProblem(log) {
+  if (!log || typeof log !== "object") return "not an object";
+  if (log.id !== undefined && log.id !== null && !Number.isInteger(log.id)) return "id is not a whole number";
+  if (typeof log.timestamp !== "string" || Number.isNaN(Date.parse(log.timestamp))) return "timestamp is missing or invalid";
+  if (!log.event_data || typeof log.event_data !== "object" || Array.isArray(log.event_data)) return "event_data is not an object";
+  return null;
+}
+
+// event_data as stored, re-serialized so formatting differences do not count
+function storedEventData(text) {
+  try {
+    return JSON.stringify(JSON.parse(text));
+  } catch {
+    return text;
+  }
+}
+
+const sameEvent = (row, log, userId) =>
+  row.user_id === userId &&
+  row.timestamp === log.timestamp &&
+  (row.message ?? null) === (log.message ?? null) &&
+  storedEventData(row.event_data) === JSON.stringify(log.event_data);
+
+// "duplicate", "conflict" or "new" for one log entry. Logs with an id are
+// matched by id only: the study has events that were logged twice verbatim.
+async function classifyLog(db, userId, log) {
+  if (Number.isInteger(log.id)) {
+    const row = await db.get(`SELECT user_id, timestamp, message, event_data FROM user_logs WHERE id = ?`, [log.id]);
+    if (!row) {
+      return "new";
+    }
+    return sameEvent(row, log, userId) ? "duplicate" : "conflict";
+  }
+  const sameTime = await db.all(
+    `SELECT user_id, timestamp, message, event_data FROM user_logs WHERE user_id = ? AND timestamp = ? AND message IS ?`,
+    [userId, log.timestamp, log.message ?? null]
+  );
+  return sameTime.some(row => sameEvent(row, log, userId)) ? "duplicate" : "new";
+}
+
+/**
+ * Attach imported logs to the study session for their system / task, creating
+ * sessions that do not exist yet (the same grouping as migration 8). Returns
+ * how many sessions were created.
+ */
+async function attachSessions(db, ids) {
+  const idList = JSON.stringify(ids);
+  const matchingSession = `
+    SELECT s.id FROM sessions s
+    WHERE s.user_id = user_logs.user_id
+      AND s.system = json_extract(user_logs.event_data, '$.system')
+      AND s.task_number = CAST(json_extract(user_logs.event_data, '$.taskNumber') AS INTEGER)
+    ORDER BY s.started_at LIMIT 1
+  `;
+  const created = await db.run(
+    `INSERT INTO sessions (user_id, system, task_number, condition, started_at, ended_at)
+     SELECT user_id,
+            json_extract(event_data, '$.system'),
+            CAST(json_extract(event_data, '$.taskNumber') AS INTEGER),
+            UPPER(MAX(json_extract(event_data, '$.condition'))),
+            MIN(timestamp),
+            MAX(timestamp)
+     FROM user_logs
+     WHERE id IN (SELECT value FROM json_each(?))
+       AND json_valid(event_data)
+       AND json_extract(event_data, '$.system') IS NOT NULL
+       AND json_extract(event_data, '$.taskNumber') IS NOT NULL
+       AND NOT EXISTS (${matchingSession})
+     GROUP BY user_id, json_extract(event_data, '$.system'), CAST(json_extract(event_data, '$.taskNumber') AS INTEGER)
+     ORDER BY MIN(timestamp)`,
+    [idList]
+  );
+  await db.run(
+    `UPDATE user_logs SET session_id = (${matchingSession})
+     WHERE id IN (SELECT value FROM json_each(?)) AND session_id IS NULL AND json_valid(event_data)`,
+    [idList]
+  );
+  return created.changes;
+}
+
+/**
+ * Compare one archive with the database: ids only the database has for that
+ * participant and task, ids only the file has, and ids whose event differs
+ */
+function reconcile(archive, dbLogs) {
+  const fileLogs = new Map(archive.logs.filter(log => Number.isInteger(log?.id)).map(log => [log.id, log]));
+  const stored = new Map(dbLogs.map(log => [log.id, log]));
+  const content = log => JSON.stringify([log.timestamp, log.message ?? null, log.event_data]);
+
+  return {
+    dbLogs: dbLogs.length,
+    onlyInDb: [...stored.keys()].filter(id => !fileLogs.has(id)),
+    onlyInFile: [...fileLogs.keys()].filter(id => !stored.has(id)),
+    different: [...fileLogs.keys()].filter(id => stored.has(id) && content(stored.get(id)) !== content(fileLogs.get(id))),
+  };
+}
+
+/**
+ * Import archives ([{ file, archive }] from readArchives, or uploaded ones) and
+ * reconcile each with the database. With dryRun nothing is written and
+ * `inserted` counts what would be. The caller runs this inside a transaction.
+ * Returns { dryRun, archives: [...], totals, tasksWithoutArchive }.
+ */
+export async function importArchives(db, entries, { dryRun = false } = {}) {
+  const anonymizer = await createAnonymizer(db);
+  const forgotten = new Map();
+  const isForgotten = async (userId) => {
+    if (!forgotten.has(userId)) {
+      const audit = await db.get(
+        `SELECT 1 FROM data_audit WHERE action = 'forget' AND subject = ?`,
+        [anonymizer.pseudonym(userId)]
+      );
+      forgotten.set(userId, Boolean(audit));
+    }
+    return forgotten.get(userId);
+  };
+
+  const results = [];
+  const archiveFor = new Map(); // result -> the archive it came from
+  const importedTasks = new Map(); // userId -> Set of task keys
+
+  for (const { file, archive, error } of entries) {
+    const problem = error || archiveProblem(archive);
+    if (problem) {
+      results.push({ file, error: problem });
+      continue;
+    }
+    const userId = archive.user_id;
+    if (await isForgotten(userId)) {
+      results.push({ file, userId, task: archive.task, error: "participant was forgotten; not re-importing their logs" });
+      continue;
+    }
+
+    const result = {
+      file,
+      userId,
+      task: archive.task,
+      logCount: archive.log_count ?? null,
+      logsInFile: archive.logs.length,
+      logCountMatches: archive.log_count === archive.logs.length,
+      inserted: 0,
+      duplicates: 0,
+      conflicts: [],
+      invalid: [],
+      sessionsCreated: 0,
+    };
+
+    const insertedIds = [];
+    for (const [index, log] of archive.logs.entries()) {
+      const invalid = logProblem(log);
+      if (invalid) {
+        result.invalid.push({ index, id: log?.id ?? null, reason: invalid });
+        continue;
+      }
+      const status = await classifyLog(db, userId, log);
+      if (status === "duplicate") {
+        result.duplicates++;
+      } else if (status === "conflict") {
+        result.conflicts.push(log.id);
+      } else {
+        result.inserted++;
+        if (!dryRun) {
+          if (insertedIds.length === 0) {
+            await db.run(`INSERT OR IGNORE INTO users (user_id) VALUES (?)`, [userId]);
+          }
+          const { lastID } = await db.run(
+            `INSERT INTO user_logs (id, user_id, timestamp, message, event_data, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+            [log.id ?? null, userId, log.timestamp, log.message ?? null, JSON.stringify(log.event_data), log.created_at ?? log.timestamp]
+          );
+          insertedIds.push(lastID);
+        }
+      }
+    }
+
+    if (insertedIds.length > 0) {
+      result.sessionsCreated = await attachSessions(db, insertedIds);
+    }
+
+    results.push(result);
+    archiveFor.set(result, archive);
+    if (!importedTasks.has(userId)) importedTasks.set(userId, new Set());
+    importedTasks.get(userId).add(archive.task);
+  }
+
+  // Reconcile once everything is in, against the database's own grouping
+  const tasksWithoutArchive = [];
+  for (const [userId, tasks] of importedTasks) {
+    const byTask = organizeLogsByTask(await getUserLogs(db, userId));
+    for (const result of results.filter(r => r.userId === userId && !r.error)) {
+      Object.assign(result, reconcile(archiveFor.get(result), byTask[result.task] || []));
+      // In a dry run the logs still to be inserted are naturally only in the file
+      result.reconciled = result.logCountMatches && result.conflicts.length === 0 && result.invalid.length === 0 &&
+        result.onlyInDb.length === 0 && result.different.length === 0 && (dryRun || result.onlyInFile.length === 0);
+    }
+    for (const task of Object.keys(byTask).sort()) {
+      if (!tasks.has(task)) {
+        tasksWithoutArchive.push({ userId, task, dbLogs: byTask[task].length });
+      }
+    }
+  }
+
+  const ok = results.filter(r => !r.error);
+  const sum = (pick) => ok.reduce((total, r) => total + pick(r), 0);
+  return {
+    dryRun,
+    archives: results,
+    totals: {
+      archives: results.length,
+      failed: results.length - ok.length,
+      logsInFiles: sum(r => r.logsInFile),
+      inserted: sum(r => r.inserted),
+      duplicates: sum(r => r.duplicates),
+      conflicts: sum(r => r.conflicts.length),
+      invalid: sum(r => r.invalid.length),
+      logCountMismatches: ok.filter(r => !r.logCountMatches).length,
+      sessionsCreated: sum(r => r.sessionsCreated),
+      unreconciled: results.length - ok.filter(r => r.reconciled).length,
+    },
+    tasksWithoutArchive,
+  };
+}
+
+const idList = (ids) => (ids.length > 10 ? `${ids.slice(0, 10).join(", ")}, … (${ids.length})` : ids.join(", "));
+
+/**
+ * The import result as a plain-text reconciliation report
+ */
+export function formatImportReport(report) {
+  const lines = [];
+  for (const r of report.archives) {
+    if (r.error) {
+      lines.push(`✗ ${r.file}: ${r.error}`);
+      continue;
+    }
+    lines.push(`${r.reconciled ? "✓" : "!"} ${r.file} (${r.userId} ${r.task}): ${r.logsInFile} logs in file, ${r.dbLogs} in database; ` +
+      `${r.inserted} ${report.dryRun ? "to insert" : "inserted"}, ${r.duplicates} already stored`);
+    if (!r.logCountMatches) lines.push(`    log_count says ${r.logCount} but the file has ${r.logsInFile} logs`);
+    if (r.conflicts.length) lines.push(`    ids used by a different event in the database: ${idList(r.conflicts)}`);
+    if (r.invalid.length) lines.push(`    invalid entries: ${r.invalid.map(i => `#${i.index} (${i.reason})`).slice(0, 10).join(", ")}`);
+    if (r.onlyInDb.length) lines.push(`    only in database: ${idList(r.onlyInDb)}`);
+    if (r.onlyInFile.length && !report.dryRun) lines.push(`    only in file: ${idList(r.onlyInFile)}`);
+    const different = r.different.filter(id => !r.conflicts.includes(id));
+    if (different.length) lines.push(`    stored differently: ${idList(different)}`);
+    if (r.sessionsCreated) lines.push(`    created ${r.sessionsCreated} session(s)`);
+  }
+  for (const { userId, task, dbLogs } of report.tasksWithoutArchive) {
+    lines.push(`! ${userId} ${task}: ${dbLogs} logs in database but no archive`);
+  }
+
+  const t = report.totals;
+  lines.push("");
+  lines.push(`${t.archives} archive(s), ${t.failed} skipped; ${t.logsInFiles} logs in files: ` +
+    `${t.inserted} ${report.dryRun ? "to insert" : "inserted"}, ${t.duplicates} already stored, ` +
+    `${t.conflicts} conflicting, ${t.invalid} invalid; ${t.logCountMismatches} log_count mismatch(es)` +
+    (t.sessionsCreated ? `; ${t.sessionsCreated} session(s) created` : ""));
+  return lines.join("\n");
+}
@@ -0,0 +1,310 @@
+// logQuery.js -- filtered, cursor-paginated reads of user_logs
+//
+// Pages are ordered by (timestamp, id) and continue from an opaque cursor that
+// holds the last row's key, so pages stay stable while new events arrive.
+// Streaming exports walk the same pages in batches rather than loading every
+// row into memory.
+
+import { once } from "events";
+import { csvRow } from "./csv.js";
+
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.timestamp, row.id])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof timestamp === "string" && Number.isInteger(id)) {
+      return { timestamp, id };
+    }
+  } catch {
+    // fall through
+  }
+  throw new RangeError("Invalid cursor");
+}
+
+// An event_data field by JSON path; NULL rather than an error for rows whose
+// event_data is not valid JSON
+const eventField = (jsonPath = "?") => `CASE WHEN json_valid(event_data) THEN json_extract(event_data, ${jsonPath}) END`;
+
+// The study session a log belongs to, falling back to the fields the event
+// carries for logs recorded before sessions existed
+const sessionField = (column, eventKey) =>
+  `COALESCE((SELECT ${column} FROM sessions WHERE sessions.id = user_logs.session_id), ${eventField(`'$.${eventKey}'`)})`;
+
+// Fields logs can be grouped by; any other name is read from event_data
+const LOG_FIELDS = {
+  message: "message",
+  userId: "user_id",
+  sessionId: "session_id",
+  system: sessionField("system", "system"),
+  taskNumber: `CAST(${sessionField("task_number", "taskNumber")} AS INTEGER)`,
+  condition: `UPPER(${sessionField("condition", "condition")})`,
+  day: "substr(timestamp, 1, 10)",
+};
+
+const PREDICATE_PATTERN = /^([A-Za-z0-9_$-]+(?:\.[A-Za-z0-9_$-]+)*)\s*(!=|>=|<=|=|>|<)\s*(.*)$/;
+
+// "artworkData.regionId" -> '$."artworkData"."regionId"'
+function jsonPath(field) {
+  if (!/^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/.test(field)) {
+    throw new RangeError(`Invalid event_data field "${field}" (use dot-separated names like artworkData.regionId)`);
+  }
+  return "$" + field.split(".").map(key => `."${key}"`).join("");
+}
+
+// A predicate value as the JSON scalar it spells (1, true, null), otherwise the text
+function predicateValue(text) {
+  const trimmed = text.trim();
+  if (trimmed === "null") return null;
+  if (trimmed === "true") return 1;
+  if (trimmed === "false") return 0;
+  if (trimmed !== "" && Number.isFinite(Number(trimmed))) return Number(trimmed);
+  return text;
+}
+
+/**
+ * SQL for an event_data predicate such as "mapLevel=1", "artworkData.regionId!=157"
+ * or "zoom>=2". Numbers also match the same number stored as a string.
+ */
+export function parseEventPredicate(predicate) {
+  const match = PREDICATE_PATTERN.exec(String(predicate).trim());
+  if (!match) {
+    throw new RangeError(`Invalid predicate "${predicate}" (expected field=value, with = != > >= < <=)`);
+  }
+  const [, field, op, text] = match;
+  const value = predicateValue(text);
+  const path = jsonPath(field);
+
+  if (value === null) {
+    if (op !== "=" && op !== "!=") {
+      throw new RangeError(`Cannot compare ${field} ${op} null`);
+    }
+    return { clause: `${eventField()} IS ${op === "=" ? "" : "NOT "}NULL`, params: [path] };
+  }
+  if (op === "=" || op === "!=") {
+    const values = typeof value === "number" ? [value, text.trim()] : [value];
+    const placeholders = values.map(() => "?").join(", ");
+    return op === "="
+      ? { clause: `${eventField()} IN (${placeholders})`, params: [path, ...values] }
+      : { clause: `(${eventField()} IS NULL OR ${eventField()} NOT IN (${placeholders}))`, params: [path, path, ...values] };
+  }
+  return { clause: `${eventField()} ${op} ?`, params: [path, value] };
+}
+
+const asList = (value) => (Array.isArray(value) ? value : value === undefined || value === "" ? [] : [value]);
+
+// WHERE clauses for the userId / message (comma-separated) / since / until
+// filters, the session filters (system / taskNumber / condition) and
+// event_data predicates (`where`, one string or an array of them)
+function logFilters({ userId, message, since, until, system, taskNumber, condition, where }) {
+  const clauses = [];
+  const params = [];
+
+  if (userId) {
+    clauses.push(`user_id = ?`);
+    params.push(userId);
+  }
+  if (message) {
+    const messages = String(message).split(",").map(m => m.trim()).filter(Boolean);
+    clauses.push(`message IN (${messages.map(() => "?").join(", ")})`);
+    params.push(...messages);
+  }
+  if (since) {
+    clauses.push(`timestamp >= ?`);
+    params.push(since);
+  }
+  if (until) {
+    clauses.push(`timestamp <= ?`);
+    params.push(until);
+  }
+  if (system) {
+    clauses.push(`${LOG_FIELDS.system} = ?`);
+    params.push(system);
+  }
+  if (taskNumber !== undefined && taskNumber !== "") {
+    if (!/^\d+$/.test(String(taskNumber))) {
+      throw new RangeError("taskNumber should be a whole number");
+    }
+    clauses.push(`${LOG_FIELDS.taskNumber} = ?`);
+    params.push(Number(taskNumber));
+  }
+  if (condition) {
+    clauses.push(`${LOG_FIELDS.condition} = ?`);
+    params.push(String(condition).toUpperCase());
+  }
+  for (const predicate of asList(where)) {
+    const { clause, params: predicateParams } = parseEventPredicate(predicate);
+    clauses.push(clause);
+    params.push(...predicateParams);
+  }
+
+  return { clauses, params };
+}
+
+/**
+ * How many logs match, in total and (with `groupBy`, comma-separated) per
+ * combination of the grouping fields, most frequent first. Fields are message,
+ * userId, sessionId, system, taskNumber, condition, day, or an event_data path.
+ */
+export async function countLogs(db, filters, { groupBy } = {}) {
+  const { clauses, params } = logFilters(filters);
+  const where = clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : "";
+  const { total } = await db.get(`SELECT COUNT(*) as total FROM user_logs${where}`, params);
+
+  const fields = String(groupBy ?? "").split(",").map(name => name.trim()).filter(Boolean);
+  if (fields.length === 0) {
+    return { total, groups: null };
+  }
+
+  const selects = [];
+  const selectParams = [];
+  for (const field of fields) {
+    if (LOG_FIELDS[field]) {
+      selects.push(LOG_FIELDS[field]);
+    } else {
+      selects.push(eventField());
+      selectParams.push(jsonPath(field.replace(/^event_data\./, "")));
+    }
+  }
+  const rows = await db.all(
+    `SELECT ${selects.map((sql, i) => `${sql} as g${i}`).join(", ")}, COUNT(*) as count
+     FROM user_logs${where}
+     GROUP BY ${selects.map((_, i) => `g${i}`).join(", ")}
+     ORDER BY count DESC, ${selects.map((_, i) => `g${i}`).join(", ")}`,
+    [...selectParams, ...params]
+  );
+  return {
+    total,
+    groups: rows.map(row => ({ ...Object.fromEntries(fields.map((field, i) => [field, row[`g${i}`]])), count: row.count })),
+  };
+}
+
+/**
+ * One page of raw user_logs rows plus the cursor for the next page (null on
+ * the last page). `offset` is only honoured without a cursor, for old clients.
+ */
+export async function fetchLogPage(db, filters, { limit = 100, cursor, order = "desc", offset = 0 } = {}) {
+  const { clauses, params } = logFilters(filters);
+  const ascending = order === "asc";
+
+  if (cursor) {
+    const { timestamp, id } = decodeCursor(cursor);
+    clauses.push(`(timestamp, id) ${ascending ? ">" : "<"} (?, ?)`);
+    params.push(timestamp, id);
+  }
+
+  const direction = ascending ? "ASC" : "DESC";
+  let query = `SELECT * FROM user_logs`;
+  if (clauses.length > 0) {
+    query += ` WHERE ${clauses.join(" AND ")}`;
+  }
+  query += ` ORDER BY timestamp ${direction}, id ${direction} LIMIT ?`;
+  params.push(limit + 1);
+  if (!cursor && offset > 0) {
+    query += ` OFFSET ?`;
+    params.push(offset);
+  }
+
+  const rows = await db.all(query, params);
+  const logs = rows.slice(0, limit);
+  return { logs, nextCursor: rows.length > limit ? encodeCursor(logs[logs.length - 1]) : null };
+}
+
+/**
+ * A user_logs row with its JSON columns parsed
+ */
+export function parseLogRow(row) {
+  let eventData;
+  try {
+    eventData = JSON.parse(row.event_data);
+  } catch (e) {
+    console.warn(`Warning: Could not parse event_data for log id ${row.id}: ${e.message}`);
+    eventData = { raw: row.event_data };
+  }
+  return {
+    ...row,
+    event_data: eventData,
+    validation_errors: row.validation_errors ? JSON.parse(row.validation_errors) : null,
+  };
+}
+
+/**
+ * Every matching log, parsed, fetched `batchSize` rows at a time
+ */
+export async function* iterateLogs(db, filters, { order = "asc", batchSize = 1000 } = {}) {
+  let cursor;
+  do {
+    const page = await fetchLogPage(db, filters, { limit: batchSize, cursor, order });
+    for (const row of page.logs) {
+      yield parseLogRow(row);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Nested objects become dot-path keys ({a: {b: 1}} -> {"a.b": 1}); arrays are
+ * kept whole
+ */
+export function flattenObject(value, prefix = "", out = {}) {
+  for (const [key, child] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === "object" && !Array.isArray(child)) {
+      flattenObject(child, name, out);
+    } else {
+      out[name] = child;
+    }
+  }
+  return out;
+}
+
+const CSV_BASE_COLUMNS = ["id", "user_id", "session_id", "timestamp", "message", "created_at"];
+
+// Respect backpressure, and stop waiting if the client goes away
+async function write(out, chunk) {
+  if (out.write(chunk)) {
+    return;
+  }
+  const ac = new AbortController();
+  await Promise.race([
+    once(out, "drain", { signal: ac.signal }),
+    once(out, "close", { signal: ac.signal }),
+  ]).finally(() => ac.abort());
+}
+
+/**
+ * Stream matching logs to `out` as NDJSON (one parsed row per line) or CSV.
+ * CSV flattens event_data into event_data.<path> columns, which takes a first
+ * pass over the rows to collect the column set.
+ */
+export async function streamLogs(out, db, filters, { format = "ndjson", order = "asc" } = {}) {
+  if (format === "ndjson") {
+    for await (const log of iterateLogs(db, filters, { order })) {
+      if (out.destroyed) return;
+      await write(out, JSON.stringify(log) + "\n");
+    }
+    return;
+  }
+
+  const eventColumns = new Set();
+  for await (const log of iterateLogs(db, filters, { order })) {
+    if (out.destroyed) return;
+    for (const key of Object.keys(flattenObject(log.event_data))) {
+      eventColumns.add(key);
+    }
+  }
+  const eventKeys = [...eventColumns].sort();
+
+  await write(out, csvRow([...CSV_BASE_COLUMNS, ...eventKeys.map(key => `event_data.${key}`), "validation_errors"]));
+  for await (const log of iterateLogs(db, filters, { order })) {
+    if (out.destroyed) return;
+    const flat = flattenObject(log.event_data);
+    await write(out, csvRow([
+      ...CSV_BASE_COLUMNS.map(col => log[col]),
+      ...eventKeys.map(key => flat[key]),
+      log.validation_errors,
+    ]));
+  }
+}
@@ -0,0 +1,115 @@
+// metrics.js -- behavioral metrics for one participant doing one task
+//
+// System A (Artographer) and system B (baseline) log the same actions under
+// different event names, so pins, generations and modal opens count both.
+
+import { toCsv } from "./csv.js";
+
+export const PIN_EVENTS = ["imagePinned", "artwork_collected"];
+export const GENERATE_EVENTS = ["imageGenerated", "imageGenerated-baseline"];
+export const MODAL_EVENTS = ["modalOpened", "artwork_modal_opened"];
+export const ANCHOR_EVENTS = ["anchorImageClicked"];
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0));
+}
+
+function countOf(eventCounts, names) {
+  return names.reduce((sum, name) => sum + (eventCounts[name] || 0), 0);
+}
+
+/**
+ * Compute metrics from one task's logs (ordered oldest first)
+ */
+export function computeSessionMetrics({ userId, task, sessionId = null, system, taskNumber, condition, logs }) {
+  const times = logs.map(log => new Date(log.timestamp).getTime());
+  const start = times.length ? Math.min(...times) : null;
+  const end = times.length ? Math.max(...times) : null;
+
+  const eventCounts = {};
+  let firstPinAt = null;
+  let cameraDistance = 0;
+  let previousCamera = null;
+  const timeAtMapLevel = {};
+
+  logs.forEach((log, i) => {
+    const eventData = log.event_data || {};
+    eventCounts[log.message] = (eventCounts[log.message] || 0) + 1;
+
+    if (firstPinAt === null && PIN_EVENTS.includes(log.message)) {
+      firstPinAt = times[i];
+    }
+
+    if (log.message === "cameraIdled" && eventData.cameraPosition) {
+      if (previousCamera) {
+        cameraDistance += distance(previousCamera.position, eventData.cameraPosition);
+        const level = previousCamera.mapLevel ?? "unknown";
+        timeAtMapLevel[level] = (timeAtMapLevel[level] || 0) + (times[i] - previousCamera.time);
+      }
+      previousCamera = { position: eventData.cameraPosition, mapLevel: eventData.mapLevel, time: times[i] };
+    }
+  });
+
+  // The last camera position holds until the end of the task
+  if (previousCamera) {
+    const level = previousCamera.mapLevel ?? "unknown";
+    timeAtMapLevel[level] = (timeAtMapLevel[level] || 0) + (end - previousCamera.time);
+  }
+
+  const pinCount = countOf(eventCounts, PIN_EVENTS);
+  const modalOpenCount = countOf(eventCounts, MODAL_EVENTS);
+
+  return {
+    userId,
+    task,
+    sessionId,
+    system,
+    taskNumber,
+    condition,
+    startedAt: start === null ? null : new Date(start).toISOString(),
+    endedAt: end === null ? null : new Date(end).toISOString(),
+    durationMs: start === null ? 0 : end - start,
+    eventCount: logs.length,
+    pinCount,
+    timeToFirstPinMs: firstPinAt === null ? null : firstPinAt - start,
+    imageGeneratedCount: countOf(eventCounts, GENERATE_EVENTS),
+    anchorClickCount: countOf(eventCounts, ANCHOR_EVENTS),
+    modalOpenCount,
+    modalOpensPerPin: pinCount > 0 ? modalOpenCount / pinCount : null,
+    cameraDistance,
+    timeAtMapLevel,
+    eventCounts,
+  };
+}
+
+const BASE_COLUMNS = [
+  "userId", "task", "sessionId", "system", "taskNumber", "condition", "startedAt", "endedAt", "durationMs",
+  "eventCount", "pinCount", "timeToFirstPinMs", "imageGeneratedCount", "anchorClickCount",
+  "modalOpenCount", "modalOpensPerPin", "cameraDistance",
+];
+
+/**
+ * Flatten metrics to CSV: one row per session, with a count_<event> column per
+ * event type and a time_at_level_<n>_ms column per map level seen
+ */
+export function metricsToCsv(metrics) {
+  const eventTypes = [...new Set(metrics.flatMap(m => Object.keys(m.eventCounts)))].sort();
+  const levels = [...new Set(metrics.flatMap(m => Object.keys(m.timeAtMapLevel)))].sort();
+
+  const rows = metrics.map(m => {
+    const row = { ...m };
+    for (const type of eventTypes) {
+      row[`count_${type}`] = m.eventCounts[type] || 0;
+    }
+    for (const level of levels) {
+      row[`time_at_level_${level}_ms`] = m.timeAtMapLevel[level] || 0;
+    }
+    return row;
+  });
+
+  return toCsv(rows, [
+    ...BASE_COLUMNS,
+    ...eventTypes.map(type => `count_${type}`),
+    ...levels.map(level => `time_at_level_${level}_ms`),
+  ]);
+}
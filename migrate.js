@@ -0,0 +1,51 @@
+// migrate.js -- show or apply schema migrations without starting the server
+//
+// Usage:
+//   node migrate.js status [--db path/to/database.db]
+//   node migrate.js up [--db path/to/database.db]
+
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { migrate, migrationStatus } from "./migrations.js";
+
+function parseArgs(argv) {
+  const args = { command: "status", db: "database.db" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--db") {
+      args.db = argv[++i];
+    } else {
+      args.command = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!["status", "up"].includes(args.command)) {
+    console.error(`Unknown command "${args.command}". Use "status" or "up".`);
+    process.exit(1);
+  }
+
+  const db = await open({ filename: args.db, driver: sqlite3.Database });
+
+  try {
+    if (args.command === "up") {
+      const applied = await migrate(db);
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Database is up to date.");
+    }
+
+    const status = await migrationStatus(db);
+    console.log(`\nSchema migrations for ${args.db}:`);
+    for (const m of status) {
+      console.log(`  ${String(m.version).padStart(3, "0")} ${m.name.padEnd(36)} ${m.appliedAt || "pending"}`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,706 @@
+// migrations.js -- numbered schema migrations for database.db
+//
+// Each migration runs once, inside its own transaction, and is recorded in
+// schema_migrations. Add new migrations to the end of the list; never edit or
+// renumber one that has already been applied somewhere.
+
+import crypto from "crypto";
+import { externalizeDataUri } from "./blobStore.js";
+
+const usersTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    user_id TEXT PRIMARY KEY,
+    userImageIds TEXT NOT NULL DEFAULT '[]', -- JSON array of strings (API expects this name)
+    pinnedArtworkIds TEXT NOT NULL DEFAULT '[]', -- JSON array of strings (API expects this name)
+    createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+`;
+
+const userImagesTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    userimage_id TEXT PRIMARY KEY, -- API expects this name
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    imageUrl TEXT NOT NULL, -- API expects camelCase
+    worldCoords TEXT NOT NULL, -- API expects array format [x, y]
+    regionId TEXT, -- API expects TEXT, not INTEGER
+    confidence REAL NOT NULL,
+    anchors TEXT NOT NULL, -- JSON array
+    dateAdded TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  );
+`;
+
+// Original layout: keyed by entryId alone, artwork metadata stored inline
+const legacyPinnedArtworksTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    entryId TEXT PRIMARY KEY, -- API expects this name
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    image_urls TEXT NOT NULL, -- JSON object
+    descriptions TEXT NOT NULL, -- JSON object
+    artist TEXT NOT NULL,
+    artist_names TEXT NOT NULL, -- JSON array
+    thumbnail_url TEXT NOT NULL,
+    url TEXT NOT NULL,
+    rights TEXT NOT NULL,
+    keywords TEXT NOT NULL, -- JSON array
+    worldCoords TEXT, -- API expects array format [x, y]
+    regionId TEXT, -- API expects TEXT
+    isRepresentative INTEGER DEFAULT 0, -- API expects camelCase
+    priority INTEGER,
+    isPinned INTEGER DEFAULT 1, -- API expects camelCase
+    pinnedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE(user_id, entryId)
+  );
+`;
+
+// One row per user per pinned artwork; the artwork metadata itself lives in artworks
+const pinnedArtworksTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    user_id TEXT NOT NULL,
+    entryId TEXT NOT NULL, -- API expects this name
+    worldCoords TEXT, -- API expects array format [x, y]
+    regionId TEXT, -- API expects TEXT
+    isRepresentative INTEGER DEFAULT 0, -- API expects camelCase
+    priority INTEGER,
+    isPinned INTEGER DEFAULT 1, -- API expects camelCase
+    taskNumber INTEGER,
+    pinnedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (user_id, entryId),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (entryId) REFERENCES artworks(entryId)
+  );
+`;
+
+async function columnNames(db, table) {
+  const info = await db.all(`PRAGMA table_info(${table})`);
+  return info.map(col => col.name);
+}
+
+/**
+ * Replace `table` with a freshly created copy, filling it from the old rows.
+ * `select` maps each new column to an SQL expression over the old table.
+ */
+async function rebuildTable(db, table, createTable, select) {
+  const columns = Object.keys(select);
+  await db.exec(createTable(`${table}_new`));
+  await db.exec(`
+    INSERT INTO ${table}_new (${columns.join(", ")})
+    SELECT ${columns.map(col => select[col]).join(", ")} FROM ${table}
+  `);
+  await db.exec(`DROP TABLE ${table}`);
+  await db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+}
+
+// SQL for an item's coordinates, or no rows when worldCoords is not a numeric [x, y]
+const spatialRow = (kind, row, idColumn, from = "") => `
+  SELECT '${kind}', ${row}.user_id, ${row}.${idColumn},
+    json_extract(${row}.worldCoords, '$[0]'), json_extract(${row}.worldCoords, '$[1]'), ${row}.regionId
+  ${from}
+  WHERE CASE WHEN json_valid(${row}.worldCoords) THEN
+    json_type(${row}.worldCoords, '$[0]') IN ('integer', 'real') AND
+    json_type(${row}.worldCoords, '$[1]') IN ('integer', 'real')
+  END
+`;
+
+/**
+ * Triggers that keep spatial_items / spatial_rtree in step with `table`
+ */
+function spatialTriggers(table, kind, idColumn) {
+  const remove = (row) => `
+    DELETE FROM spatial_items WHERE kind = '${kind}' AND user_id = ${row}.user_id AND item_id = ${row}.${idColumn};
+  `;
+  // INSERT OR REPLACE does not fire delete triggers, so any stale entry is removed first
+  const add = `
+    ${remove("NEW")}
+    INSERT INTO spatial_items (kind, user_id, item_id, x, y, region_id) ${spatialRow(kind, "NEW", idColumn)};
+    INSERT INTO spatial_rtree (id, minX, maxX, minY, maxY)
+      SELECT id, x, x, y, y FROM spatial_items
+      WHERE kind = '${kind}' AND user_id = NEW.user_id AND item_id = NEW.${idColumn};
+  `;
+  return [
+    `CREATE TRIGGER IF NOT EXISTS ${table}_spatial_insert AFTER INSERT ON ${table} BEGIN ${add} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_spatial_update AFTER UPDATE ON ${table} BEGIN ${remove("OLD")} ${add} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_spatial_delete AFTER DELETE ON ${table} BEGIN ${remove("OLD")} END`,
+  ];
+}
+
+// Plain text for the search index from a column that may hold a JSON array or
+// object (keywords, artist_names, descriptions): its values joined by spaces
+const searchText = (column) => `
+  CASE WHEN json_valid(${column}) THEN
+    CASE WHEN json_type(${column}) IN ('array', 'object')
+      THEN (SELECT group_concat(value, ' ') FROM json_each(${column}))
+      ELSE json_extract(${column}, '$')
+    END
+  ELSE ${column} END
+`;
+
+const artworkSearchRow = (row) => `
+  SELECT 'artwork', ${row}.entryId, ${row}.title,
+    trim(coalesce(${row}.artist, '') || ' ' || coalesce(${searchText(`${row}.artist_names`)}, '')),
+    ${searchText(`${row}.descriptions`)}, ${searchText(`${row}.keywords`)}
+`;
+const imageSearchRow = (row) => `SELECT 'image', ${row}.userimage_id, ${row}.title, NULL, NULL, NULL`;
+
+/**
+ * Triggers that keep search_index in step with `table`
+ */
+function searchTriggers(table, kind, idColumn, searchRow) {
+  const remove = (row) => `DELETE FROM search_index WHERE kind = '${kind}' AND item_id = ${row}.${idColumn};`;
+  const add = `INSERT INTO search_index (kind, item_id, title, artist, descriptions, keywords) ${searchRow("NEW")};`;
+  return [
+    `CREATE TRIGGER IF NOT EXISTS ${table}_search_insert AFTER INSERT ON ${table} BEGIN ${remove("NEW")} ${add} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_search_update AFTER UPDATE ON ${table} BEGIN ${remove("OLD")} ${add} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_search_delete AFTER DELETE ON ${table} BEGIN ${remove("OLD")} END`,
+  ];
+}
+
+/**
+ * Triggers that append to board_history whenever a row of `table` is added,
+ * changed or removed. `columns` are the ones copied into the snapshot.
+ */
+function historyTriggers(table, kind, idColumn, columns) {
+  const snapshot = `json_object(${columns.map(col => `'${col}', NEW.${col}`).join(", ")})`;
+  const append = (action, row, data) => `
+    INSERT INTO board_history (user_id, kind, item_id, action, data)
+    VALUES (${row}.user_id, '${kind}', ${row}.${idColumn}, '${action}', ${data});
+  `;
+  return [
+    `CREATE TRIGGER IF NOT EXISTS ${table}_history_insert AFTER INSERT ON ${table} BEGIN ${append("add", "NEW", snapshot)} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_history_update AFTER UPDATE ON ${table} BEGIN ${append("update", "NEW", snapshot)} END`,
+    `CREATE TRIGGER IF NOT EXISTS ${table}_history_delete AFTER DELETE ON ${table} BEGIN ${append("remove", "OLD", "NULL")} END`,
+  ];
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: "rename_legacy_columns",
+    // Databases from the first study pilot used snake_case columns and stored
+    // world coordinates as separate world_x / world_y columns
+    async up(db) {
+      const userCols = await columnNames(db, "users");
+      if (userCols.includes("user_image_ids") || userCols.includes("pinned_artwork_ids")) {
+        await rebuildTable(db, "users", usersTable, {
+          user_id: "user_id",
+          userImageIds: `COALESCE(${userCols.includes("user_image_ids") ? "user_image_ids" : "userImageIds"}, '[]')`,
+          pinnedArtworkIds: `COALESCE(${userCols.includes("pinned_artwork_ids") ? "pinned_artwork_ids" : "pinnedArtworkIds"}, '[]')`,
+        });
+      }
+
+      const imageCols = await columnNames(db, "user_images");
+      if (imageCols.includes("image_url") || imageCols.includes("world_x")) {
+        await rebuildTable(db, "user_images", userImagesTable, {
+          userimage_id: "userimage_id",
+          user_id: "user_id",
+          title: "title",
+          imageUrl: imageCols.includes("image_url") ? "image_url" : "imageUrl",
+          worldCoords: imageCols.includes("world_x")
+            ? `'[' || world_x || ',' || world_y || ']'`
+            : "worldCoords",
+          regionId: imageCols.includes("region_id") ? "CAST(region_id AS TEXT)" : "regionId",
+          confidence: "confidence",
+          anchors: "anchors",
+          dateAdded: imageCols.includes("date_added")
+            ? "COALESCE(date_added, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"
+            : "dateAdded",
+        });
+      }
+
+      const pinCols = await columnNames(db, "pinned_artworks");
+      if (pinCols.includes("entry_id") || pinCols.includes("world_x")) {
+        const pick = (oldName, newName) => (pinCols.includes(oldName) ? oldName : newName);
+        await rebuildTable(db, "pinned_artworks", legacyPinnedArtworksTable, {
+          entryId: pick("entry_id", "entryId"),
+          user_id: "user_id",
+          title: "title",
+          image_urls: "image_urls",
+          descriptions: "descriptions",
+          artist: "artist",
+          artist_names: "artist_names",
+          thumbnail_url: "thumbnail_url",
+          url: "url",
+          rights: "rights",
+          keywords: "keywords",
+          worldCoords: pinCols.includes("world_x")
+            ? `CASE WHEN world_x IS NOT NULL AND world_y IS NOT NULL THEN '[' || world_x || ',' || world_y || ']' END`
+            : "worldCoords",
+          regionId: `CAST(${pick("region_id", "regionId")} AS TEXT)`,
+          isRepresentative: `COALESCE(${pick("is_representative", "isRepresentative")}, 0)`,
+          priority: "priority",
+          isPinned: `COALESCE(${pick("is_pinned", "isPinned")}, 1)`,
+        });
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "initial_schema",
+    async up(db) {
+      await db.exec(usersTable("users"));
+      await db.exec(userImagesTable("user_images"));
+      await db.exec(legacyPinnedArtworksTable("pinned_artworks"));
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS user_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          message TEXT,
+          event_data TEXT NOT NULL, -- JSON string containing all event fields
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        );
+      `);
+
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_logs_user_id ON user_logs(user_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_logs_timestamp ON user_logs(timestamp)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_images_user_id ON user_images(user_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_images_date ON user_images(dateAdded)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_pinned_artworks_user_id ON pinned_artworks(user_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_pinned_artworks_date ON pinned_artworks(pinnedAt)`);
+    },
+  },
+  {
+    version: 3,
+    name: "add_user_timestamps",
+    // SQLite refuses non-constant defaults in ADD COLUMN, so backfill instead
+    async up(db) {
+      const cols = await columnNames(db, "users");
+      for (const col of ["createdAt", "updatedAt"]) {
+        if (!cols.includes(col)) {
+          await db.exec(`ALTER TABLE users ADD COLUMN ${col} TEXT`);
+          await db.exec(`UPDATE users SET ${col} = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`);
+        }
+      }
+    },
+  },
+  {
+    version: 4,
+    name: "add_pinned_artworks_task_number",
+    async up(db) {
+      const cols = await columnNames(db, "pinned_artworks");
+      if (!cols.includes("taskNumber")) {
+        await db.exec(`ALTER TABLE pinned_artworks ADD COLUMN taskNumber INTEGER`);
+      }
+    },
+  },
+  {
+    version: 5,
+    name: "per_user_pinned_artworks",
+    // Move shared artwork metadata into artworks so several participants can pin
+    // the same artwork, and key pinned_artworks by (user_id, entryId)
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS artworks (
+          entryId TEXT PRIMARY KEY, -- API expects this name
+          title TEXT NOT NULL,
+          image_urls TEXT NOT NULL, -- JSON object
+          descriptions TEXT NOT NULL, -- JSON object
+          artist TEXT NOT NULL,
+          artist_names TEXT NOT NULL, -- JSON array
+          thumbnail_url TEXT NOT NULL,
+          url TEXT NOT NULL,
+          rights TEXT NOT NULL,
+          keywords TEXT NOT NULL, -- JSON array
+          createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+
+      const cols = await columnNames(db, "pinned_artworks");
+      if (!cols.includes("title")) {
+        return;
+      }
+
+      await db.exec(`
+        INSERT OR IGNORE INTO artworks (entryId, title, image_urls, descriptions, artist, artist_names, thumbnail_url, url, rights, keywords)
+        SELECT entryId, title, image_urls, descriptions, artist, artist_names, thumbnail_url, url, rights, keywords
+        FROM pinned_artworks
+      `);
+      await rebuildTable(db, "pinned_artworks", pinnedArtworksTable, {
+        user_id: "user_id",
+        entryId: "entryId",
+        worldCoords: "worldCoords",
+        regionId: "regionId",
+        isRepresentative: "isRepresentative",
+        priority: "priority",
+        isPinned: "isPinned",
+        taskNumber: "taskNumber",
+        pinnedAt: "pinnedAt",
+        createdAt: "createdAt",
+      });
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_pinned_artworks_user_id ON pinned_artworks(user_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_pinned_artworks_date ON pinned_artworks(pinnedAt)`);
+    },
+  },
+  {
+    version: 6,
+    name: "user_logs_client_event_ids",
+    // Batched clients send their own event IDs and per-session sequence numbers
+    // so retried uploads can be deduplicated and gaps detected
+    async up(db) {
+      await db.exec(`ALTER TABLE user_logs ADD COLUMN event_id TEXT`);
+      await db.exec(`ALTER TABLE user_logs ADD COLUMN client_session_id TEXT`);
+      await db.exec(`ALTER TABLE user_logs ADD COLUMN seq INTEGER`);
+      await db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_user_logs_event_id ON user_logs(user_id, event_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_logs_client_seq ON user_logs(user_id, client_session_id, seq)`);
+    },
+  },
+  {
+    version: 7,
+    name: "user_logs_validation_errors",
+    // JSON array of schema problems for events stored in lenient mode
+    async up(db) {
+      await db.exec(`ALTER TABLE user_logs ADD COLUMN validation_errors TEXT`);
+    },
+  },
+  {
+    version: 8,
+    name: "study_sessions",
+    // One row per participant x system x task, with explicit start/end times.
+    // Existing logs are grouped into sessions from the system/taskNumber fields
+    // they carry, and pins/images are attached by the time window they fall in.
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          system TEXT NOT NULL, -- "A" (Artographer) or "B" (Baseline)
+          task_number INTEGER NOT NULL,
+          condition TEXT, -- "P" or "C"
+          started_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          ended_at TEXT, -- NULL while the session is active
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        );
+      `);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, started_at)`);
+
+      await db.exec(`ALTER TABLE user_logs ADD COLUMN session_id INTEGER REFERENCES sessions(id)`);
+      await db.exec(`ALTER TABLE pinned_artworks ADD COLUMN session_id INTEGER REFERENCES sessions(id)`);
+      await db.exec(`ALTER TABLE user_images ADD COLUMN session_id INTEGER REFERENCES sessions(id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_logs_session_id ON user_logs(session_id)`);
+
+      await db.exec(`
+        INSERT INTO sessions (user_id, system, task_number, condition, started_at, ended_at)
+        SELECT user_id,
+               json_extract(event_data, '$.system'),
+               CAST(json_extract(event_data, '$.taskNumber') AS INTEGER),
+               UPPER(MAX(json_extract(event_data, '$.condition'))),
+               MIN(timestamp),
+               MAX(timestamp)
+        FROM user_logs
+        WHERE json_valid(event_data)
+          AND json_extract(event_data, '$.system') IS NOT NULL
+          AND json_extract(event_data, '$.taskNumber') IS NOT NULL
+        GROUP BY user_id, json_extract(event_data, '$.system'), CAST(json_extract(event_data, '$.taskNumber') AS INTEGER)
+        ORDER BY MIN(timestamp)
+      `);
+      await db.exec(`
+        UPDATE user_logs SET session_id = (
+          SELECT s.id FROM sessions s
+          WHERE s.user_id = user_logs.user_id
+            AND s.system = json_extract(user_logs.event_data, '$.system')
+            AND s.task_number = CAST(json_extract(user_logs.event_data, '$.taskNumber') AS INTEGER)
+        )
+        WHERE json_valid(event_data)
+      `);
+      await db.exec(`
+        UPDATE pinned_artworks SET session_id = (
+          SELECT s.id FROM sessions s
+          WHERE s.user_id = pinned_artworks.user_id
+            AND pinned_artworks.pinnedAt BETWEEN s.started_at AND s.ended_at
+          ORDER BY s.started_at DESC LIMIT 1
+        )
+      `);
+      await db.exec(`
+        UPDATE user_images SET session_id = (
+          SELECT s.id FROM sessions s
+          WHERE s.user_id = user_images.user_id
+            AND user_images.dateAdded BETWEEN s.started_at AND s.ended_at
+          ORDER BY s.started_at DESC LIMIT 1
+        )
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "user_logs_keyset_index",
+    // Cursor pagination walks (timestamp, id) within a user
+    async up(db) {
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_logs_user_timestamp ON user_logs(user_id, timestamp, id)`);
+    },
+  },
+  {
+    version: 10,
+    name: "auth_tokens",
+    // Participant write tokens and researcher login sessions, stored as SHA-256
+    // hashes of the token (see auth.js)
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS participant_tokens (
+          user_id TEXT PRIMARY KEY,
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        );
+      `);
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS researcher_sessions (
+          token_hash TEXT PRIMARY KEY,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          expires_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "privacy_and_retention",
+    // Per-database secret for pseudonyms, retention policies and an audit
+    // trail of deletions (see privacy.js)
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS privacy_settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS retention_policies (
+          table_name TEXT PRIMARY KEY,
+          days_to_keep INTEGER NOT NULL,
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS data_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL, -- "forget", "retention"
+          subject TEXT, -- pseudonym of the participant, never the raw user_id
+          details TEXT NOT NULL DEFAULT '{}', -- JSON: row counts, files, reason
+          performed_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: "blob_store",
+    // Content-addressed image files (see blobStore.js). Images already stored
+    // inline as data URIs are moved out to the store.
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS blobs (
+          hash TEXT PRIMARY KEY, -- SHA-256 of the content, hex
+          content_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+
+      const rows = await db.all(`SELECT userimage_id, imageUrl FROM user_images WHERE imageUrl LIKE 'data:%'`);
+      for (const row of rows) {
+        await db.run(
+          `UPDATE user_images SET imageUrl = ? WHERE userimage_id = ?`,
+          [await externalizeDataUri(db, row.imageUrl), row.userimage_id]
+        );
+      }
+      if (rows.length > 0) {
+        console.log(`Moved ${rows.length} inline images to the blob store`);
+      }
+    },
+  },
+  {
+    version: 13,
+    name: "spatial_index",
+    // Pins and generated images as points in an R*Tree (see spatial.js).
+    // spatial_items holds the exact coordinates and which row each point is;
+    // triggers keep both in step with user_images and pinned_artworks.
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS spatial_items (
+          id INTEGER PRIMARY KEY,
+          kind TEXT NOT NULL, -- "pin" or "image"
+          user_id TEXT NOT NULL,
+          item_id TEXT NOT NULL, -- pinned_artworks.entryId or user_images.userimage_id
+          x REAL NOT NULL,
+          y REAL NOT NULL,
+          region_id TEXT,
+          UNIQUE (kind, user_id, item_id)
+        );
+      `);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_spatial_items_region ON spatial_items(region_id)`);
+      await db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS spatial_rtree USING rtree(id, minX, maxX, minY, maxY)`);
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS spatial_items_delete AFTER DELETE ON spatial_items
+        BEGIN DELETE FROM spatial_rtree WHERE id = OLD.id; END
+      `);
+
+      const sources = [["user_images", "image", "userimage_id"], ["pinned_artworks", "pin", "entryId"]];
+      for (const [table, kind, idColumn] of sources) {
+        for (const trigger of spatialTriggers(table, kind, idColumn)) {
+          await db.exec(trigger);
+        }
+        await db.exec(`
+          INSERT OR IGNORE INTO spatial_items (kind, user_id, item_id, x, y, region_id)
+          ${spatialRow(kind, table, idColumn, `FROM ${table}`)}
+        `);
+      }
+      await db.exec(`INSERT INTO spatial_rtree (id, minX, maxX, minY, maxY) SELECT id, x, x, y, y FROM spatial_items`);
+    },
+  },
+  {
+    version: 14,
+    name: "search_index",
+    // FTS5 index over artwork metadata and participants' prompts (user_images
+    // titles), see search.js. Triggers keep it in step with both tables.
+    async up(db) {
+      await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+          kind UNINDEXED, -- "artwork" or "image"
+          item_id UNINDEXED, -- artworks.entryId or user_images.userimage_id
+          title,
+          artist, -- artist and artist_names
+          descriptions,
+          keywords,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+
+      const sources = [["artworks", "artwork", "entryId", artworkSearchRow], ["user_images", "image", "userimage_id", imageSearchRow]];
+      for (const [table, kind, idColumn, searchRow] of sources) {
+        for (const trigger of searchTriggers(table, kind, idColumn, searchRow)) {
+          await db.exec(trigger);
+        }
+        await db.exec(`INSERT INTO search_index (kind, item_id, title, artist, descriptions, keywords) ${searchRow(table)} FROM ${table}`);
+      }
+    },
+  },
+  {
+    version: 15,
+    name: "row_versions",
+    // Version counters for optimistic concurrency on PATCH/DELETE (see rowVersions.js)
+    async up(db) {
+      for (const table of ["user_images", "pinned_artworks"]) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN updatedAt TEXT`);
+        await db.exec(`UPDATE ${table} SET updatedAt = createdAt`);
+      }
+    },
+  },
+  {
+    version: 16,
+    name: "board_history",
+    // Append-only log of pins and user images being added, changed and removed,
+    // so a participant's board can be rebuilt for any moment (see boardHistory.js).
+    // Rows that already exist are recorded as added at their pinnedAt / dateAdded.
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS board_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          kind TEXT NOT NULL, -- "pin" or "image"
+          item_id TEXT NOT NULL, -- pinned_artworks.entryId or user_images.userimage_id
+          action TEXT NOT NULL, -- "add", "update" or "remove"
+          data TEXT, -- the row as JSON after the change; NULL for "remove"
+          changedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_board_history_user ON board_history(user_id, changedAt)`);
+      // For blob garbage collection: images that were removed still reference their blob here
+      await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_board_history_image_url
+        ON board_history(json_extract(data, '$.imageUrl')) WHERE kind = 'image'
+      `);
+      // Entries can be deleted (forget, retention) but never rewritten
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS board_history_no_update BEFORE UPDATE ON board_history
+        BEGIN SELECT RAISE(ABORT, 'board_history is append-only'); END
+      `);
+
+      const sources = [["pinned_artworks", "pin", "entryId", "pinnedAt"], ["user_images", "image", "userimage_id", "dateAdded"]];
+      for (const [table, kind, idColumn, addedColumn] of sources) {
+        const columns = await columnNames(db, table);
+        await db.exec(`
+          INSERT INTO board_history (user_id, kind, item_id, action, data, changedAt)
+          SELECT user_id, '${kind}', ${idColumn}, 'add',
+            json_object(${columns.map(col => `'${col}', ${col}`).join(", ")}),
+            COALESCE(${addedColumn}, createdAt)
+          FROM ${table}
+        `);
+        for (const trigger of historyTriggers(table, kind, idColumn, columns)) {
+          await db.exec(trigger);
+        }
+      }
+    },
+  },
+  {
+    version: 17,
+    name: "pseudonym_secret",
+    // Create privacy_settings.hash_secret here rather than on first export, so
+    // reads (a GET export) never write
+    async up(db) {
+      await db.run(
+        `INSERT OR IGNORE INTO privacy_settings (key, value) VALUES ('hash_secret', ?)`,
+        [crypto.randomBytes(32).toString("hex")]
+      );
+    },
+  },
+];
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+  `);
+}
+
+/**
+ * List every known migration with the time it was applied (null if pending)
+ */
+export async function migrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const applied = await db.all(`SELECT version, applied_at FROM schema_migrations`);
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: appliedAt.get(version) ?? null,
+  }));
+}
+
+/**
+ * Apply all pending migrations in order. Each one runs in its own transaction;
+ * if one fails it is rolled back and the error is rethrown, so later
+ * migrations never run on top of a half-migrated schema.
+ */
+export async function migrate(db) {
+  const pending = (await migrationStatus(db)).filter(m => !m.appliedAt);
+
+  for (const { version, name } of pending) {
+    const migration = migrations.find(m => m.version === version);
+    await db.exec("BEGIN");
+    try {
+      await migration.up(db);
+      await db.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [version, name]);
+      await db.exec("COMMIT");
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw new Error(`Migration ${version} (${name}) failed: ${err.message}`);
+    }
+    console.log(`Applied migration ${version}: ${name}`);
+  }
+
+  return pending;
+}
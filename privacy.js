@@ -0,0 +1,336 @@
+// privacy.js -- pseudonymized exports, retention policies and participant erasure
+//
+// Pseudonyms and field hashes are HMAC-SHA256 under a secret generated once per
+// database (privacy_settings.hash_secret), so the same participant or prompt
+// always maps to the same value without the mapping being reversible by anyone
+// who only has the export.
+//
+// Forgets are also appended to an erasure log outside the database
+// (ERASURE_LOG, one JSON object per line), so restoring a snapshot taken
+// before a forget cannot bring the participant back: see reapplyErasures.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Free text typed by participants. A bare name matches that key at any depth,
+// a dotted path matches from the top of event_data, and "message:field" only
+// applies to that event type. Besides these, the title of any object whose id
+// starts with "user_" is hashed: events log a participant's generated image
+// with its prompt as the title (artworkData in artworkClicked-Map,
+// focusingCameraOnImage, imagePinned, ...).
+export const DEFAULT_REMOVE_FIELDS = ["imageUrl"];
+export const DEFAULT_HASH_FIELDS = ["prompt", "query", "userImageData.title", "imageGenerated-baseline:title"];
+
+// Tables a retention policy can apply to, and the column their age is read from
+export const RETENTION_TABLES = {
+  user_logs: "timestamp",
+  user_images: "dateAdded",
+  pinned_artworks: "pinnedAt",
+  sessions: "started_at",
+  board_history: "changedAt",
+};
+
+export const ERASURE_LOG = process.env.ERASURE_LOG || path.join(process.cwd(), "erasures.jsonl");
+
+/**
+ * The database's pseudonym secret (created by migration 17)
+ */
+export async function hashSecret(db) {
+  const row = await db.get(`SELECT value FROM privacy_settings WHERE key = 'hash_secret'`);
+  if (!row) {
+    throw new Error("The database has no pseudonym secret; run the migrations first");
+  }
+  return row.value;
+}
+
+// "a, b" or ["a", "b"] -> ["a", "b"]; undefined -> the defaults
+function fieldList(value, defaults) {
+  if (value === undefined) return defaults;
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map(field => field.trim())
+    .filter(Boolean);
+}
+
+function parseSpecs(fields) {
+  return fields.map(field => {
+    const colon = field.indexOf(":");
+    const message = colon > 0 ? field.slice(0, colon) : null;
+    const fieldPath = colon > 0 ? field.slice(colon + 1) : field;
+    return { message, path: fieldPath, anywhere: !fieldPath.includes(".") };
+  });
+}
+
+function matches(specs, message, keyPath, key) {
+  return specs.some(spec =>
+    (spec.message === null || spec.message === message) &&
+    (spec.anywhere ? spec.path === key : spec.path === keyPath)
+  );
+}
+
+/**
+ * Build the pseudonym / field scrubbing functions for one export.
+ * `remove` and `hash` take field specs (see DEFAULT_HASH_FIELDS).
+ */
+export async function createAnonymizer(db, { remove, hash } = {}) {
+  const secret = await hashSecret(db);
+  const removeSpecs = parseSpecs(fieldList(remove, DEFAULT_REMOVE_FIELDS));
+  const hashSpecs = parseSpecs(fieldList(hash, DEFAULT_HASH_FIELDS));
+  const digest = (kind, value) => crypto.createHmac("sha256", secret).update(`${kind}:${value}`).digest("hex");
+
+  const pseudonym = userId => `anon_${digest("user", userId).slice(0, 12)}`;
+  const hashValue = value => `h_${digest("field", typeof value === "string" ? value : JSON.stringify(value)).slice(0, 16)}`;
+
+  function scrub(value, message, userId, prefix = "") {
+    if (Array.isArray(value)) {
+      return value.map(item => scrub(item, message, userId, prefix));
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    const isUserImage = typeof value.id === "string" && value.id.startsWith("user_");
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (matches(removeSpecs, message, keyPath, key)) continue;
+      if ((key === "userId" || key === "user_id") && child === userId) {
+        out[key] = pseudonym(userId);
+      } else if ((matches(hashSpecs, message, keyPath, key) || (isUserImage && key === "title")) && child !== null && child !== "") {
+        out[key] = hashValue(child);
+      } else {
+        out[key] = scrub(child, message, userId, keyPath);
+      }
+    }
+    return out;
+  }
+
+  return {
+    pseudonym,
+
+    // A copy of one event's event_data with the chosen fields removed or hashed
+    eventData(message, eventData, userId) {
+      return scrub(eventData, message, userId);
+    },
+
+    // A user_images row; titles are the participant's own prompts
+    userImage(row) {
+      const copy = { ...row, user_id: pseudonym(row.user_id), title: row.title ? hashValue(row.title) : row.title };
+      for (const key of Object.keys(copy)) {
+        if (matches(removeSpecs, null, key, key)) delete copy[key];
+      }
+      return copy;
+    },
+  };
+}
+
+/**
+ * Write an entry to the data_audit table
+ */
+export async function recordAudit(db, { action, subject = null, details = {}, performedBy = null }) {
+  await db.run(
+    `INSERT INTO data_audit (action, subject, details, performed_by) VALUES (?, ?, ?, ?)`,
+    [action, subject, JSON.stringify(details), performedBy]
+  );
+}
+
+export async function listAudit(db, { action, limit = 100 } = {}) {
+  const rows = await db.all(
+    `SELECT * FROM data_audit ${action ? "WHERE action = ?" : ""} ORDER BY id DESC LIMIT ?`,
+    action ? [action, limit] : [limit]
+  );
+  return rows.map(row => ({ ...row, details: JSON.parse(row.details || "{}") }));
+}
+
+function checkRetentionTable(table) {
+  if (!RETENTION_TABLES[table]) {
+    throw new RangeError(`Unknown table "${table}" (expected one of ${Object.keys(RETENTION_TABLES).join(", ")})`);
+  }
+}
+
+function cutoffFor(days, now) {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Every retainable table with its policy (daysToKeep null = keep forever) and
+ * how many rows the policy would currently delete
+ */
+export async function getRetentionPolicies(db, now = new Date()) {
+  const rows = await db.all(`SELECT table_name, days_to_keep, updated_at FROM retention_policies`);
+  const policies = new Map(rows.map(row => [row.table_name, row]));
+
+  const result = [];
+  for (const [table, column] of Object.entries(RETENTION_TABLES)) {
+    const policy = policies.get(table);
+    const days = policy ? policy.days_to_keep : null;
+    const cutoff = days === null ? null : cutoffFor(days, now);
+    const expired = cutoff === null
+      ? 0
+      : (await db.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} < ?`, [cutoff])).count;
+    result.push({ table, column, daysToKeep: days, cutoff, expiredRows: expired, updatedAt: policy?.updated_at ?? null });
+  }
+  return result;
+}
+
+/**
+ * Set a table's policy; null removes it
+ */
+export async function setRetentionPolicy(db, table, daysToKeep) {
+  checkRetentionTable(table);
+  if (daysToKeep === null) {
+    await db.run(`DELETE FROM retention_policies WHERE table_name = ?`, [table]);
+    return;
+  }
+  if (!Number.isInteger(daysToKeep) || daysToKeep < 1) {
+    throw new RangeError("daysToKeep should be a whole number of days (at least 1), or null to keep forever");
+  }
+  await db.run(
+    `INSERT INTO retention_policies (table_name, days_to_keep) VALUES (?, ?)
+     ON CONFLICT(table_name) DO UPDATE SET days_to_keep = excluded.days_to_keep, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`,
+    [table, daysToKeep]
+  );
+}
+
+/**
+ * Rebuild users.userImageIds / pinnedArtworkIds from the tables, for every
+ * user or just `userId`, after rows were deleted behind their back
+ */
+export async function syncUserIdLists(db, userId = null) {
+  await db.run(`
+    UPDATE users SET
+      userImageIds = (SELECT json_group_array(userimage_id) FROM
+        (SELECT userimage_id FROM user_images WHERE user_id = users.user_id ORDER BY dateAdded)),
+      pinnedArtworkIds = (SELECT json_group_array(entryId) FROM
+        (SELECT entryId FROM pinned_artworks WHERE user_id = users.user_id ORDER BY pinnedAt))
+    WHERE ? IS NULL OR user_id = ?
+  `, [userId, userId]);
+}
+
+/**
+ * Delete rows older than each table's policy. `policies` overrides the stored
+ * ones ({ user_logs: 30 }); with dryRun nothing is deleted. Returns
+ * { table: { cutoff, deleted } } for every table that has a policy.
+ */
+export async function applyRetention(db, { policies, dryRun = false, now = new Date() } = {}) {
+  let effective = policies;
+  if (!effective) {
+    const rows = await db.all(`SELECT table_name, days_to_keep FROM retention_policies`);
+    effective = Object.fromEntries(rows.map(row => [row.table_name, row.days_to_keep]));
+  }
+
+  const result = {};
+  for (const [table, days] of Object.entries(effective)) {
+    checkRetentionTable(table);
+    const column = RETENTION_TABLES[table];
+    const cutoff = cutoffFor(days, now);
+    const deleted = dryRun
+      ? (await db.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} < ?`, [cutoff])).count
+      : (await db.run(`DELETE FROM ${table} WHERE ${column} < ?`, [cutoff])).changes;
+    result[table] = { daysToKeep: days, cutoff, deleted };
+  }
+
+  if (!dryRun && (result.user_images?.deleted || result.pinned_artworks?.deleted)) {
+    await syncUserIdLists(db);
+  }
+  return result;
+}
+
+/**
+ * The user_logs/<userId> folder, or null if the id could escape user_logs/
+ */
+export function participantLogsDir(userId, logsDir = path.join(process.cwd(), "user_logs")) {
+  const folder = path.resolve(logsDir, String(userId));
+  return path.dirname(folder) === path.resolve(logsDir) && !["", ".", ".."].includes(String(userId)) ? folder : null;
+}
+
+/**
+ * Delete every row belonging to a participant. Returns the number of rows
+ * removed per table; the caller deletes the exported files once this commits.
+ */
+// Every table holding participant rows; board_history last, since deleting
+// their pins and images appends to it
+const PARTICIPANT_TABLES = ["user_logs", "user_images", "pinned_artworks", "sessions", "participant_tokens", "users", "board_history"];
+
+export async function forgetParticipantRows(db, userId) {
+  const deleted = {};
+  for (const table of PARTICIPANT_TABLES) {
+    deleted[table] = (await db.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId])).changes;
+  }
+  return deleted;
+}
+
+/**
+ * Remove user_logs/<userId>; returns the number of files deleted
+ */
+export function removeParticipantFiles(userId, logsDir) {
+  const folder = participantLogsDir(userId, logsDir);
+  if (!folder || !fs.existsSync(folder)) {
+    return 0;
+  }
+  const count = fs.readdirSync(folder, { recursive: true })
+    .filter(item => fs.statSync(path.join(folder, item)).isFile()).length;
+  fs.rmSync(folder, { recursive: true, force: true });
+  return count;
+}
+
+/**
+ * Append a forget to the erasure log: { subject, forgottenAt, performedBy, details }
+ */
+export function logErasure({ subject, performedBy = null, details = {} }, file = ERASURE_LOG) {
+  const entry = { subject, forgottenAt: new Date().toISOString(), performedBy, details };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
+
+export function readErasures(file = ERASURE_LOG) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, "utf8").split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * After restoring a snapshot: forget again every participant in the erasure
+ * log who is back, and put back forget records the snapshot predates. Pass
+ * the live database's `secret` from before the restore, so pseudonyms still
+ * match when the snapshot was taken before it existed. Returns
+ * [{ subject, deleted }] for the participants forgotten again.
+ */
+export async function reapplyErasures(db, { secret = null, file = ERASURE_LOG } = {}) {
+  // A snapshot from before migration 17 was given a new secret when it was
+  // migrated; keep the live one so pseudonyms stay the same
+  if (secret) {
+    await db.run(
+      `INSERT INTO privacy_settings (key, value) VALUES ('hash_secret', ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      [secret]
+    );
+  }
+  const erasures = readErasures(file);
+  if (erasures.length === 0) {
+    return [];
+  }
+
+  const subjects = new Set(erasures.map(erasure => erasure.subject));
+  const { pseudonym } = await createAnonymizer(db);
+  const userIds = await db.all(PARTICIPANT_TABLES.map(table => `SELECT user_id FROM ${table}`).join(" UNION "));
+
+  const reapplied = [];
+  for (const { user_id: userId } of userIds) {
+    const subject = pseudonym(userId);
+    if (subjects.has(subject)) {
+      reapplied.push({ subject, deleted: await forgetParticipantRows(db, userId) });
+    }
+  }
+
+  for (const erasure of erasures) {
+    const recorded = await db.get(`SELECT 1 FROM data_audit WHERE action = 'forget' AND subject = ?`, [erasure.subject]);
+    if (!recorded) {
+      await db.run(
+        `INSERT INTO data_audit (action, subject, details, performed_by, created_at) VALUES ('forget', ?, ?, ?, ?)`,
+        [erasure.subject, JSON.stringify(erasure.details ?? {}), erasure.performedBy ?? null, erasure.forgottenAt]
+      );
+    }
+  }
+  return reapplied;
+}
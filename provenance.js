@@ -0,0 +1,228 @@
+// provenance.js -- graph of participants, generated images and artworks
+//
+// Nodes are participants, generated images and artworks; edges say who
+// generated an image, which artworks the image was anchored to, which anchors
+// were clicked from it, and what each participant pinned. Edges come from the
+// user_images / pinned_artworks rows and from the logged events, so images and
+// pins that were later removed still show up. Each edge counts how often it
+// was logged (at least once) and when first and last.
+
+import { PIN_EVENTS, GENERATE_EVENTS, ANCHOR_EVENTS } from "./metrics.js";
+
+export const EDGE_TYPES = ["generated", "anchored_to", "clicked", "pinned"];
+
+const NODE_ATTRIBUTES = {
+  type: "string",
+  label: "string",
+  userId: "string",
+  sessionId: "int",
+  x: "double",
+  y: "double",
+  regionId: "string",
+  artist: "string",
+};
+const EDGE_ATTRIBUTES = {
+  type: "string",
+  userId: "string",
+  count: "int",
+  firstAt: "string",
+  lastAt: "string",
+};
+
+const participantNode = userId => `participant:${userId}`;
+const imageNode = imageId => `image:${imageId}`;
+const artworkNode = entryId => `artwork:${entryId}`;
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+// Anchors are stored as artwork ids or as artwork objects
+function anchorArtwork(anchor) {
+  if (typeof anchor === "string") return { id: anchor };
+  const id = anchor?.id ?? anchor?.entryId ?? anchor?.artworkId;
+  return id ? { id: String(id), title: anchor.title, worldCoords: anchor.worldCoords, regionId: anchor.regionId } : null;
+}
+
+const regionOf = regionId => (regionId === undefined || regionId === null ? undefined : String(regionId));
+
+function coordsOf(worldCoords) {
+  const coords = typeof worldCoords === "string" ? parseJson(worldCoords, null) : worldCoords;
+  return Array.isArray(coords) && coords.length >= 2 && coords.every(Number.isFinite)
+    ? { x: coords[0], y: coords[1] }
+    : {};
+}
+
+function createGraph() {
+  const nodes = new Map();
+  const edges = new Map();
+
+  return {
+    nodes,
+    edges,
+
+    // Later sightings only fill in attributes that are still missing
+    node(id, type, attributes = {}) {
+      const node = nodes.get(id) ?? { id, type };
+      for (const [key, value] of Object.entries(attributes)) {
+        if (value !== undefined && value !== null && value !== "" && node[key] === undefined) {
+          node[key] = value;
+        }
+      }
+      nodes.set(id, node);
+    },
+
+    // With `once`, an edge that already exists is left as it is
+    edge(type, source, target, { userId, at } = {}, { once = false } = {}) {
+      const id = `${type}:${source}->${target}`;
+      if (once && edges.has(id)) return;
+      const edge = edges.get(id) ?? { id, type, source, target, userId, count: 0, firstAt: null, lastAt: null };
+      edge.count += 1;
+      if (at && (!edge.firstAt || at < edge.firstAt)) edge.firstAt = at;
+      if (at && (!edge.lastAt || at > edge.lastAt)) edge.lastAt = at;
+      edges.set(id, edge);
+    },
+  };
+}
+
+function filterClause({ userId, sessionId }) {
+  const where = [];
+  const params = [];
+  if (userId) { where.push("user_id = ?"); params.push(userId); }
+  if (sessionId !== undefined) { where.push("session_id = ?"); params.push(sessionId); }
+  return { sql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+/**
+ * Build the graph for all participants, or one `userId` and/or `sessionId`.
+ * Returns { nodes, edges, counts }.
+ */
+export async function buildProvenanceGraph(db, { userId, sessionId } = {}) {
+  const graph = createGraph();
+  const scope = filterClause({ userId, sessionId });
+
+  const participant = id => {
+    graph.node(participantNode(id), "participant", { userId: id });
+    return participantNode(id);
+  };
+  const artwork = (art, attributes = {}) => {
+    graph.node(artworkNode(art.id), "artwork", {
+      label: art.title, ...coordsOf(art.worldCoords), regionId: regionOf(art.regionId), ...attributes,
+    });
+    return artworkNode(art.id);
+  };
+
+  const messages = [...GENERATE_EVENTS, ...ANCHOR_EVENTS, ...PIN_EVENTS];
+  const events = await db.all(
+    `SELECT user_id, timestamp, message, event_data, session_id FROM user_logs
+     ${scope.sql ? `${scope.sql} AND` : "WHERE"} message IN (${messages.map(() => "?").join(", ")})
+     ORDER BY timestamp, id`,
+    [...scope.params, ...messages]
+  );
+
+  for (const event of events) {
+    const data = parseJson(event.event_data, {});
+    const who = { userId: event.user_id, at: event.timestamp };
+
+    if (GENERATE_EVENTS.includes(event.message) && data.userImageData?.id) {
+      const image = imageNode(data.userImageData.id);
+      graph.node(image, "image", {
+        label: data.userImageData.title, userId: event.user_id, sessionId: event.session_id,
+        ...coordsOf(data.userImageData.worldCoords), regionId: regionOf(data.userImageData.regionId),
+      });
+      graph.edge("generated", participant(event.user_id), image, who);
+    } else if (ANCHOR_EVENTS.includes(event.message) && data.userImageId && data.artworkData?.id) {
+      const image = imageNode(data.userImageId);
+      graph.node(image, "image", { userId: event.user_id });
+      graph.edge("clicked", image, artwork(data.artworkData), who);
+    } else if (PIN_EVENTS.includes(event.message)) {
+      // System A logs the artwork object, the baseline only its id and title
+      const art = data.artworkData?.id ? data.artworkData : data.artworkId ? { id: data.artworkId, title: data.title } : null;
+      if (art) {
+        graph.edge("pinned", participant(event.user_id), artwork(art), who);
+      }
+    }
+  }
+
+  // Rows add what was never logged; logged edges are not counted twice
+  for (const row of await db.all(`SELECT * FROM user_images ${scope.sql}`, scope.params)) {
+    const image = imageNode(row.userimage_id);
+    graph.node(image, "image", {
+      label: row.title, userId: row.user_id, sessionId: row.session_id, ...coordsOf(row.worldCoords), regionId: row.regionId,
+    });
+    graph.edge("generated", participant(row.user_id), image, { userId: row.user_id, at: row.dateAdded }, { once: true });
+
+    for (const anchor of parseJson(row.anchors || "[]", []).map(anchorArtwork).filter(Boolean)) {
+      graph.edge("anchored_to", image, artwork(anchor), { userId: row.user_id, at: row.dateAdded });
+    }
+  }
+
+  for (const row of await db.all(`SELECT * FROM pinned_artworks ${scope.sql}`, scope.params)) {
+    const target = artwork({ id: row.entryId, worldCoords: row.worldCoords, regionId: row.regionId });
+    graph.edge("pinned", participant(row.user_id), target, { userId: row.user_id, at: row.pinnedAt }, { once: true });
+  }
+
+  // Artwork titles and artists from the shared metadata table
+  const artworkIds = [...graph.nodes.values()].filter(n => n.type === "artwork").map(n => n.id.slice("artwork:".length));
+  if (artworkIds.length > 0) {
+    const rows = await db.all(
+      `SELECT entryId, title, artist FROM artworks WHERE entryId IN (SELECT value FROM json_each(?))`,
+      [JSON.stringify(artworkIds)]
+    );
+    for (const row of rows) {
+      artwork({ id: row.entryId, title: row.title }, { artist: row.artist });
+    }
+  }
+
+  // Nodes nothing gave a title to are labelled with their id
+  const nodes = [...graph.nodes.values()].map(node => ({ label: node.id.slice(node.type.length + 1), ...node }));
+  const edges = [...graph.edges.values()];
+  const counts = { nodes: {}, edges: {} };
+  for (const node of nodes) counts.nodes[node.type] = (counts.nodes[node.type] || 0) + 1;
+  for (const edge of edges) counts.edges[edge.type] = (counts.edges[edge.type] || 0) + 1;
+
+  return { nodes, edges, counts };
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function dataElements(prefix, attributes, item) {
+  return Object.keys(attributes)
+    .filter(key => item[key] !== undefined && item[key] !== null)
+    .map(key => `<data key="${prefix}_${key}">${xmlEscape(item[key])}</data>`)
+    .join("");
+}
+
+/**
+ * The graph as a GraphML document (directed), for Gephi, yEd or networkx
+ */
+export function provenanceGraphToGraphml({ nodes, edges }) {
+  const keys = [
+    ...Object.entries(NODE_ATTRIBUTES).map(([name, type]) =>
+      `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+    ...Object.entries(EDGE_ATTRIBUTES).map(([name, type]) =>
+      `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+${keys.join("\n")}
+  <graph id="provenance" edgedefault="directed">
+${nodes.map(node => `    <node id="${xmlEscape(node.id)}">${dataElements("n", NODE_ATTRIBUTES, node)}</node>`).join("\n")}
+${edges.map(edge =>
+    `    <edge id="${xmlEscape(edge.id)}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">${dataElements("e", EDGE_ATTRIBUTES, edge)}</edge>`
+  ).join("\n")}
+  </graph>
+</graphml>
+`;
+}
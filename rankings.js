@@ -0,0 +1,198 @@
+// rankings.js -- which artworks participants pinned, opened and focused on most
+//
+// Counts come from the logged events of each task, so pins that were later
+// undone still count; pinnedNow is taken from the pinned_artworks rows. The
+// modal -> pin conversion is per participant and task: of the tasks in which
+// someone opened an artwork's modal, the share where they pinned it afterwards.
+
+import { PIN_EVENTS, MODAL_EVENTS, GENERATE_EVENTS } from "./metrics.js";
+import { UNPIN_EVENTS } from "./replay.js";
+import { filterTaskLogs } from "./logExport.js";
+import { toCsv } from "./csv.js";
+
+export const FOCUS_EVENTS = ["focusingCameraOnImage"];
+export const CLICK_EVENTS = ["artworkClicked-Map", "artworkClicked-Thumbnail", "collection_artwork_clicked"];
+export const RANKING_SORTS = ["pins", "pinnedBy", "pinnedNow", "modalOpens", "focuses", "clicks", "participants", "conversionRate"];
+
+const GROUP_FIELDS = {
+  system: "system",
+  condition: "condition",
+  task: "taskNumber",
+};
+
+/**
+ * The artwork an event is about, or null. Modals can also show generated
+ * images; those are not artworks.
+ */
+export function eventArtworkId(log) {
+  const eventData = log.event_data || {};
+  if (eventData.details?.selectedItemId) {
+    return eventData.details.itemType === "artwork" ? eventData.details.selectedItemId : null;
+  }
+  return eventData.artworkData?.id ?? eventData.artworkId ?? null;
+}
+
+function parseGroupBy(groupBy) {
+  const fields = groupBy ? groupBy.split(",").map(name => name.trim()).filter(Boolean) : [];
+  const unknown = fields.filter(name => !GROUP_FIELDS[name]);
+  if (unknown.length > 0) {
+    throw new RangeError(`Unknown groupBy field(s): ${unknown.join(", ")} (expected ${Object.keys(GROUP_FIELDS).join(", ")})`);
+  }
+  return fields;
+}
+
+function emptyStats(entryId) {
+  return {
+    entryId,
+    title: null,
+    pins: 0,
+    pinnedBy: new Set(),
+    unpins: 0,
+    pinnedNow: new Set(),
+    modalOpens: 0,
+    focuses: 0,
+    clicks: 0,
+    participants: new Set(),
+    modalTasks: 0,
+    modalTasksPinned: 0,
+  };
+}
+
+/**
+ * Pinned artwork rows with the system / task / condition of the session they
+ * were pinned in, shaped like task logs so they filter and group the same way
+ */
+export async function loadPinnedRows(db, { userId, system, taskNumber, condition } = {}) {
+  const rows = await db.all(
+    `SELECT p.entryId, p.user_id as userId, s.system, UPPER(s.condition) as condition,
+       COALESCE(p.taskNumber, s.task_number) as taskNumber
+     FROM pinned_artworks p
+     LEFT JOIN sessions s ON s.id = p.session_id
+     ${userId ? "WHERE p.user_id = ?" : ""}`,
+    userId ? [userId] : []
+  );
+  return filterTaskLogs(
+    rows.map(row => ({ ...row, taskNumber: row.taskNumber === null ? null : String(row.taskNumber) })),
+    { system, taskNumber, condition }
+  );
+}
+
+/**
+ * Rank artworks within each group of tasks. `sessions` come from
+ * loadTaskLogs, `artworks` maps entryId -> artworks row for titles and artists,
+ * and `pinnedRows` (see loadPinnedRows) fills in pinnedNow.
+ * Returns [{ group, tasks, participants, artworks: [...] }].
+ */
+export function artworkRankings(sessions, { groupBy = "", sortBy = "pins", limit = 50, artworks = new Map(), pinnedRows = [] } = {}) {
+  const fields = parseGroupBy(groupBy);
+  if (!RANKING_SORTS.includes(sortBy)) {
+    throw new RangeError(`sortBy should be one of ${RANKING_SORTS.join(", ")}`);
+  }
+
+  // Clicks on a generated image on the map look like artwork clicks
+  const generatedIds = new Set(sessions.flatMap(session => session.logs
+    .filter(log => GENERATE_EVENTS.includes(log.message))
+    .map(log => log.event_data?.userImageData?.id)
+    .filter(Boolean)));
+
+  const groups = new Map();
+  const groupFor = item => {
+    const key = Object.fromEntries(fields.map(name => [name, item[GROUP_FIELDS[name]] ?? null]));
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      groups.set(id, { group: key, tasks: 0, participants: new Set(), artworks: new Map() });
+    }
+    return groups.get(id);
+  };
+  const statsFor = (group, entryId) => {
+    if (!group.artworks.has(entryId)) {
+      group.artworks.set(entryId, emptyStats(entryId));
+    }
+    return group.artworks.get(entryId);
+  };
+
+  for (const session of sessions) {
+    const group = groupFor(session);
+    group.tasks++;
+    group.participants.add(session.userId);
+    const firstModalAt = new Map();
+    const pinnedAfterModal = new Set();
+
+    for (const log of session.logs) {
+      const entryId = eventArtworkId(log);
+      if (!entryId || generatedIds.has(entryId)) continue;
+
+      const stats = statsFor(group, entryId);
+      stats.title ??= log.event_data?.artworkData?.title ?? log.event_data?.title ?? null;
+      stats.participants.add(session.userId);
+
+      if (PIN_EVENTS.includes(log.message)) {
+        stats.pins++;
+        stats.pinnedBy.add(session.userId);
+        if (firstModalAt.has(entryId)) pinnedAfterModal.add(entryId);
+      } else if (UNPIN_EVENTS.includes(log.message)) {
+        stats.unpins++;
+      } else if (MODAL_EVENTS.includes(log.message)) {
+        stats.modalOpens++;
+        if (!firstModalAt.has(entryId)) firstModalAt.set(entryId, log.timestamp);
+      } else if (FOCUS_EVENTS.includes(log.message)) {
+        stats.focuses++;
+      } else if (CLICK_EVENTS.includes(log.message)) {
+        stats.clicks++;
+      }
+    }
+
+    for (const entryId of firstModalAt.keys()) {
+      const stats = statsFor(group, entryId);
+      stats.modalTasks++;
+      if (pinnedAfterModal.has(entryId)) stats.modalTasksPinned++;
+    }
+  }
+
+  for (const row of pinnedRows) {
+    statsFor(groupFor(row), row.entryId).pinnedNow.add(row.userId);
+  }
+
+  return [...groups.values()].map(group => {
+    const ranked = [...group.artworks.values()]
+      .map(stats => {
+        const artwork = artworks.get(stats.entryId);
+        return {
+          entryId: stats.entryId,
+          title: artwork?.title || stats.title,
+          artist: artwork?.artist ?? null,
+          thumbnailUrl: artwork?.thumbnail_url ?? null,
+          pins: stats.pins,
+          pinnedBy: stats.pinnedBy.size,
+          unpins: stats.unpins,
+          pinnedNow: stats.pinnedNow.size,
+          modalOpens: stats.modalOpens,
+          focuses: stats.focuses,
+          clicks: stats.clicks,
+          participants: stats.participants.size,
+          modalTasks: stats.modalTasks,
+          modalTasksPinned: stats.modalTasksPinned,
+          conversionRate: stats.modalTasks > 0 ? stats.modalTasksPinned / stats.modalTasks : null,
+        };
+      })
+      .sort((a, b) => (b[sortBy] ?? -1) - (a[sortBy] ?? -1) || b.pins - a.pins || a.entryId.localeCompare(b.entryId))
+      .slice(0, limit)
+      .map((artwork, index) => ({ rank: index + 1, ...artwork }));
+
+    return { group: group.group, tasks: group.tasks, participants: group.participants.size, artworks: ranked };
+  });
+}
+
+const CSV_COLUMNS = [
+  "rank", "entryId", "title", "artist", "pins", "pinnedBy", "unpins", "pinnedNow", "modalOpens",
+  "focuses", "clicks", "participants", "modalTasks", "modalTasksPinned", "conversionRate",
+];
+
+/**
+ * One CSV row per ranked artwork, with a column per groupBy field
+ */
+export function rankingsToCsv(groups) {
+  const groupColumns = [...new Set(groups.flatMap(g => Object.keys(g.group)))];
+  const rows = groups.flatMap(g => g.artworks.map(artwork => ({ ...g.group, ...artwork })));
+  return toCsv(rows, [...groupColumns, ...CSV_COLUMNS]);
+}
@@ -0,0 +1,160 @@
+// replay.js -- timed playback of a session's logs with derived board state
+//
+// The state after each event is what the participant had in front of them:
+// where the camera was, which artworks were pinned and which images they had
+// generated. Seeking rebuilds the state by folding every event up to the new
+// position, so a viewer can jump anywhere without replaying from the start.
+
+import { PIN_EVENTS, GENERATE_EVENTS } from "./metrics.js";
+
+export const UNPIN_EVENTS = ["artwork_uncollected", "artwork_unpinned_from_sidebar"];
+export const IMAGE_REMOVED_EVENTS = ["image_removed"];
+
+export function initialState() {
+  return { camera: null, mapLevel: null, pinned: new Map(), images: [] };
+}
+
+/**
+ * Update `state` in place for one log entry
+ */
+export function applyEvent(state, log) {
+  const eventData = log.event_data || {};
+
+  if (log.message === "cameraIdled" && eventData.cameraPosition) {
+    state.camera = eventData.cameraPosition;
+    state.mapLevel = eventData.mapLevel ?? state.mapLevel;
+  } else if (PIN_EVENTS.includes(log.message)) {
+    // System A sends artworkData, the baseline only artworkId/title
+    const artwork = eventData.artworkData || { id: eventData.artworkId, title: eventData.title };
+    if (artwork.id) {
+      state.pinned.set(artwork.id, { ...artwork, pinnedAt: log.timestamp });
+    }
+  } else if (UNPIN_EVENTS.includes(log.message)) {
+    state.pinned.delete(eventData.artworkId);
+  } else if (GENERATE_EVENTS.includes(log.message)) {
+    const image = eventData.userImageData || { title: eventData.title, imageUrl: eventData.imageUrl };
+    state.images.push({ ...image, generatedAt: log.timestamp });
+  } else if (IMAGE_REMOVED_EVENTS.includes(log.message)) {
+    // Baseline images have no id in their generated event, so fall back to the prompt
+    let index = state.images.findIndex(image => image.id && image.id === eventData.imageId);
+    if (index === -1) index = state.images.findIndex(image => image.title === eventData.prompt);
+    if (index !== -1) state.images.splice(index, 1);
+  }
+
+  return state;
+}
+
+// JSON-friendly copy of the state
+export function snapshot(state) {
+  return {
+    camera: state.camera,
+    mapLevel: state.mapLevel,
+    pinned: [...state.pinned.values()],
+    images: [...state.images],
+  };
+}
+
+/**
+ * Play `logs` (oldest first) back in their original timing, scaled by `speed`.
+ *
+ * onStep({ index, offsetMs, log, state }) fires for each event as it is
+ * reached, onSeek({ positionMs, index, state }) after every seek and onEnd()
+ * once the last event has played. Returns controls for pause / resume / seek
+ * / setSpeed / stop and a status() summary; playback starts paused at `from`,
+ * so callers have the controls before any callback fires, and call resume().
+ */
+export function createReplay(logs, { speed = 1, from = 0, onStep, onSeek, onEnd }) {
+  const start = logs.length ? new Date(logs[0].timestamp).getTime() : 0;
+  const offsets = logs.map(log => new Date(log.timestamp).getTime() - start);
+  const durationMs = offsets.length ? offsets[offsets.length - 1] : 0;
+
+  let state = initialState();
+  let index = 0; // next event to play
+  let positionMs = 0; // replay clock while paused, or when `resumedAt` was taken
+  let resumedAt = null; // wall-clock time playback last (re)started, null when paused
+  let timer = null;
+  let ended = false;
+
+  const currentPosition = () =>
+    resumedAt === null ? positionMs : Math.min(durationMs, positionMs + (Date.now() - resumedAt) * speed);
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (resumedAt === null) return;
+
+    if (index >= logs.length) {
+      positionMs = durationMs;
+      resumedAt = null;
+      if (!ended) {
+        ended = true;
+        onEnd?.();
+      }
+      return;
+    }
+
+    const wait = Math.max(0, (offsets[index] - currentPosition()) / speed);
+    timer = setTimeout(() => {
+      positionMs = offsets[index];
+      resumedAt = Date.now();
+      applyEvent(state, logs[index]);
+      onStep?.({ index, offsetMs: offsets[index], log: logs[index], state: snapshot(state) });
+      index++;
+      schedule();
+    }, wait);
+  }
+
+  function seek(toMs) {
+    const playing = resumedAt !== null;
+    clearTimeout(timer);
+    positionMs = Math.min(Math.max(0, toMs), durationMs);
+    state = initialState();
+    index = 0;
+    while (index < logs.length && offsets[index] < positionMs) {
+      applyEvent(state, logs[index]);
+      index++;
+    }
+    ended = false;
+    onSeek?.({ positionMs, index, state: snapshot(state) });
+    resumedAt = playing ? Date.now() : null;
+    schedule();
+  }
+
+  const controls = {
+    pause() {
+      if (resumedAt === null) return;
+      positionMs = currentPosition();
+      resumedAt = null;
+      clearTimeout(timer);
+    },
+    resume() {
+      if (resumedAt !== null) return;
+      resumedAt = Date.now();
+      schedule();
+    },
+    seek,
+    setSpeed(value) {
+      positionMs = currentPosition();
+      if (resumedAt !== null) resumedAt = Date.now();
+      speed = value;
+      schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      resumedAt = null;
+    },
+    status() {
+      return {
+        playing: resumedAt !== null,
+        positionMs: currentPosition(),
+        durationMs,
+        speed,
+        index,
+        eventCount: logs.length,
+      };
+    },
+  };
+
+  seek(from);
+  return controls;
+}
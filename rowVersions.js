@@ -0,0 +1,95 @@
+// rowVersions.js -- editable fields of pins and user images, and the
+// optimistic concurrency checks for changing them
+//
+// user_images and pinned_artworks rows carry a version that every PATCH bumps
+// (migration 15). Responses send it as the ETag; a request's If-Match has to
+// name the current version (or the row's updatedAt), otherwise someone else
+// changed the row in the meantime and the request gets a 409.
+
+const isCoords = value => Array.isArray(value) && value.every(Number.isFinite);
+const isRegion = value => value === null || typeof value === "string" || Number.isFinite(value);
+const isFlag = value => typeof value === "boolean" || value === 0 || value === 1;
+const isIntegerOrNull = value => value === null || Number.isInteger(value);
+
+// field -> [check, description, column value]
+export const IMAGE_FIELDS = {
+  title: [value => typeof value === "string", "a string"],
+  imageUrl: [value => typeof value === "string", "a string"],
+  worldCoords: [isCoords, "an array of numbers", value => JSON.stringify(value)],
+  regionId: [isRegion, "a string, number or null"],
+  confidence: [Number.isFinite, "a number"],
+  anchors: [Array.isArray, "an array", value => JSON.stringify(value)],
+};
+
+export const PIN_FIELDS = {
+  worldCoords: [value => value === null || isCoords(value), "an array of numbers or null", value => value === null ? null : JSON.stringify(value)],
+  regionId: [isRegion, "a string, number or null"],
+  isRepresentative: [isFlag, "true or false", value => (value ? 1 : 0)],
+  priority: [isIntegerOrNull, "a whole number or null"],
+  isPinned: [isFlag, "true or false", value => (value ? 1 : 0)],
+  taskNumber: [isIntegerOrNull, "a whole number or null"],
+};
+
+/**
+ * Column values for the fields present in a PATCH body. Throws a RangeError
+ * naming unknown or invalid fields, or if there is nothing to change.
+ */
+export function parsePatch(body, fields) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new RangeError("Expected a JSON object of fields to change");
+  }
+
+  const unknown = Object.keys(body).filter(key => !Object.hasOwn(fields, key));
+  if (unknown.length > 0) {
+    throw new RangeError(`Cannot change ${unknown.join(", ")} (editable: ${Object.keys(fields).join(", ")})`);
+  }
+
+  const columns = {};
+  for (const [key, value] of Object.entries(body)) {
+    const [check, description, toColumn = v => v] = fields[key];
+    if (!check(value)) {
+      throw new RangeError(`${key} should be ${description}`);
+    }
+    columns[key] = toColumn(value);
+  }
+  if (Object.keys(columns).length === 0) {
+    throw new RangeError("Nothing to change");
+  }
+  return columns;
+}
+
+/**
+ * Column values for a pin or image a client sent in full (a board sync): the
+ * editable fields of `item` that differ from `current`, the stored row as the
+ * API returns it, or null if none do. Other fields are ignored; changed ones
+ * are checked as in parsePatch.
+ */
+export function parseChanges(item, current, fields) {
+  const changed = {};
+  for (const [key, [check, , toColumn = v => v]] of Object.entries(fields)) {
+    const value = item[key];
+    if (value === undefined || JSON.stringify(value) === JSON.stringify(current[key])) continue;
+    // true and 1 are the same flag
+    if (check(value) && check(current[key]) && toColumn(value) === toColumn(current[key])) continue;
+    changed[key] = value;
+  }
+  return Object.keys(changed).length > 0 ? parsePatch(changed, fields) : null;
+}
+
+export function etagFor(row) {
+  return `"${row.version}"`;
+}
+
+/**
+ * Whether an If-Match header allows changing `row`. No header (or "*") means
+ * the change applies to whatever is stored now.
+ */
+export function ifMatchSatisfied(header, row) {
+  if (!header || header.trim() === "*") {
+    return true;
+  }
+  return header
+    .split(",")
+    .map(tag => tag.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"))
+    .some(tag => tag === String(row.version) || tag === row.updatedAt);
+}
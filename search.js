@@ -0,0 +1,133 @@
+// search.js -- full-text search over artworks and participants' prompts
+//
+// search_index (migration 14) is an FTS5 table with one row per artwork
+// (title, artist and artist_names, descriptions, keywords) and one per
+// generated image (its title, i.e. the prompt). Results are ranked by bm25
+// with titles weighted highest.
+
+export const SEARCH_KINDS = ["artwork", "image"];
+export const MAX_SEARCH_LIMIT = 100;
+
+// Column weights for bm25(), in table order: kind, item_id, title, artist, descriptions, keywords
+const WEIGHTS = [0, 0, 10, 5, 1, 3];
+
+// Highlight markers that cannot appear in stored text; swapped for <mark> after escaping
+const OPEN = "\u0002";
+const CLOSE = "\u0003";
+
+/**
+ * Turn what someone typed into an FTS5 query: every word must match, the last
+ * one as a prefix so results update while typing. With `raw`, the text is
+ * passed through as FTS5 query syntax (AND/OR/NOT, "phrases", column:term).
+ */
+export function buildMatchQuery(text, { raw = false } = {}) {
+  const query = String(text ?? "").trim();
+  if (!query) {
+    throw new RangeError("q is required");
+  }
+  if (raw) {
+    return query;
+  }
+  const words = query.split(/\s+/).map(word => word.replace(/"/g, "")).filter(Boolean);
+  if (words.length === 0) {
+    throw new RangeError("q has nothing to search for");
+  }
+  return words.map((word, i) => `"${word}"${i === words.length - 1 ? "*" : ""}`).join(" ");
+}
+
+function markedHtml(text) {
+  if (text === null || text === undefined) return null;
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replaceAll(OPEN, "<mark>")
+    .replaceAll(CLOSE, "</mark>");
+}
+
+function filterClauses({ kind, userId, taskNumber }) {
+  const where = [];
+  const params = [];
+  if (kind) {
+    where.push("s.kind = ?");
+    params.push(kind);
+  }
+  // Artworks belong to a user or task through that user's pins
+  if (userId) {
+    where.push(`(
+      (s.kind = 'image' AND i.user_id = ?) OR
+      (s.kind = 'artwork' AND EXISTS (SELECT 1 FROM pinned_artworks p WHERE p.entryId = s.item_id AND p.user_id = ?))
+    )`);
+    params.push(userId, userId);
+  }
+  if (taskNumber !== undefined) {
+    where.push(`(
+      (s.kind = 'image' AND EXISTS (SELECT 1 FROM sessions ss WHERE ss.id = i.session_id AND ss.task_number = ?)) OR
+      (s.kind = 'artwork' AND EXISTS (
+        SELECT 1 FROM pinned_artworks p LEFT JOIN sessions ss ON ss.id = p.session_id
+        WHERE p.entryId = s.item_id AND COALESCE(p.taskNumber, ss.task_number) = ?
+        ${userId ? "AND p.user_id = ?" : ""}
+      ))
+    )`);
+    params.push(taskNumber, taskNumber, ...(userId ? [userId] : []));
+  }
+  return { where, params };
+}
+
+/**
+ * Search artworks and prompts. `kind` limits the results to "artwork" or
+ * "image"; `userId` and `taskNumber` keep images from that user / task and
+ * artworks that were pinned by them / in it. Returns { total, results }, where
+ * each result has an HTML snippet (text escaped, matches in <mark>).
+ */
+export async function search(db, { q, raw = false, kind, userId, taskNumber, limit = 20, offset = 0 }) {
+  if (kind !== undefined && !SEARCH_KINDS.includes(kind)) {
+    throw new RangeError(`kind should be one of ${SEARCH_KINDS.join(", ")}`);
+  }
+  const match = buildMatchQuery(q, { raw });
+  const { where, params } = filterClauses({ kind, userId, taskNumber });
+  const from = `
+    FROM search_index s
+    LEFT JOIN user_images i ON s.kind = 'image' AND i.userimage_id = s.item_id
+    LEFT JOIN artworks a ON s.kind = 'artwork' AND a.entryId = s.item_id
+    WHERE search_index MATCH ? ${where.map(clause => `AND ${clause}`).join(" ")}
+  `;
+
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) as total ${from}`, [match, ...params]);
+    const rows = await db.all(
+      `SELECT s.kind, s.item_id, bm25(search_index, ${WEIGHTS.join(", ")}) as score,
+         highlight(search_index, 2, '${OPEN}', '${CLOSE}') as titleHighlight,
+         snippet(search_index, -1, '${OPEN}', '${CLOSE}', '…', 16) as snippet,
+         a.artist, a.thumbnail_url, a.url,
+         (SELECT COUNT(*) FROM pinned_artworks p WHERE s.kind = 'artwork' AND p.entryId = s.item_id) as pinCount,
+         i.user_id, i.imageUrl, i.session_id, i.dateAdded
+       ${from}
+       ORDER BY score, s.kind, s.item_id
+       LIMIT ? OFFSET ?`,
+      [match, ...params, limit, offset]
+    );
+
+    return {
+      total,
+      results: rows.map(row => ({
+        kind: row.kind,
+        id: row.item_id,
+        // bm25 is lower for better matches; flip it so higher means more relevant
+        score: -row.score,
+        title: markedHtml(row.titleHighlight),
+        snippet: markedHtml(row.snippet),
+        ...(row.kind === "artwork"
+          ? { artist: row.artist, thumbnailUrl: row.thumbnail_url, url: row.url, pinCount: row.pinCount }
+          : { userId: row.user_id, imageUrl: row.imageUrl, sessionId: row.session_id, dateAdded: row.dateAdded }),
+      })),
+    };
+  } catch (err) {
+    // Malformed FTS5 syntax in a raw query is the caller's mistake
+    if (raw && err.code === "SQLITE_ERROR") {
+      throw new RangeError(`Invalid search query: ${err.message}`);
+    }
+    throw err;
+  }
+}
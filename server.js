@@ -2,22 +2,110 @@
 
 import express from "express";
 import cors from "cors";
-import dbPromise from "./database.js";
+import dbPromise, { withTransaction, withExclusiveAccess, inTransaction } from "./database.js";
+import { validateEvent } from "./eventSchemas.js";
+import { getUserLogs, organizeLogsByTask, taskFile, taskFileName, toPythonJson, loadTaskLogs, filterTaskLogs } from "./logExport.js";
+import { computeSessionMetrics, metricsToCsv } from "./metrics.js";
+import { heatmapGroups, renderHeatmapSvg, cameraTrajectory, pinnedPoints } from "./heatmaps.js";
+import { buildComparisonReport, comparisonReportToCsv, comparisonReportToHtml } from "./comparisonReport.js";
+import { fetchLogPage, parseLogRow, streamLogs, countLogs } from "./logQuery.js";
+import { readArchives, importArchives } from "./logImport.js";
+import { createReplay } from "./replay.js";
+import { createLiveFeed, DEFAULT_IDLE_AFTER_MS } from "./liveFeed.js";
+import { createZip } from "./zip.js";
+import {
+    AUTH_DISABLED, RESEARCHER_AUTH_CONFIGURED, SESSION_COOKIE, SESSION_TTL_MS, authenticate, protectDashboards,
+    requireResearcher, requireOwner, issueParticipantToken, loginResearcher, logoutResearcher
+} from "./auth.js";
+import {
+    createAnonymizer, recordAudit, listAudit, getRetentionPolicies, setRetentionPolicy, applyRetention,
+    forgetParticipantRows, removeParticipantFiles, participantLogsDir, syncUserIdLists, hashSecret, logErasure,
+    reapplyErasures
+} from "./privacy.js";
+import { parseTimestamp, boardAt, boardDiff } from "./boardHistory.js";
+import {
+    BLOB_DIR, blobPath, blobHashFromRef, isBlobHash, externalizeDataUri, blobRefFromUrl, getBlob, removeUnreferencedBlobs, missingBlobFiles
+} from "./blobStore.js";
+import { parseSpatialFilters, parseBox, parsePoint, parseLimit, itemsInBox, nearestItems, regionSummaries } from "./spatial.js";
+import { buildProvenanceGraph, provenanceGraphToGraphml } from "./provenance.js";
+import { artworkRankings, rankingsToCsv, loadPinnedRows } from "./rankings.js";
+import { search, MAX_SEARCH_LIMIT } from "./search.js";
+import { IMAGE_FIELDS, PIN_FIELDS, parsePatch, parseChanges, etagFor, ifMatchSatisfied } from "./rowVersions.js";
+import { BACKUP_DIR, listSnapshots, createSnapshot, snapshotPath, checkSnapshot, restoreSnapshot } from "./backups.js";
+import { migrate } from "./migrations.js";
 import fs from "fs";
 import path from "path";
+import { randomUUID } from "crypto";
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// CORS_ORIGINS (comma-separated) limits cross-origin callers to the listed
+// origins, with cookies. Unset, any origin may call without cookies, as
+// before; the dashboards themselves are served from the same origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean);
+
 const app = express();
-app.use(cors());
+app.use(CORS_ORIGINS.length > 0 ? cors({ origin: CORS_ORIGINS, credentials: true }) : cors());
 app.use(express.json({ limit: "500mb" }));
+app.use(authenticate);
+app.use(protectDashboards);
 app.use(express.static('public'));
 
 const port = process.env.PORT || 3001;
 
+// "strict" rejects known events that fail their schema (see eventSchemas.js),
+// "lenient" stores them with their validation_errors flagged
+const EVENT_VALIDATION = process.env.EVENT_VALIDATION === "strict" ? "strict" : "lenient";
+
+// Live monitoring feed; participants go idle after LIVE_IDLE_AFTER_MS without
+// any request from their client
+const liveFeed = createLiveFeed({ idleAfterMs: Number(process.env.LIVE_IDLE_AFTER_MS) || DEFAULT_IDLE_AFTER_MS });
+
+/**
+ * The user's open study session, if any (records are attached to it on insert)
+ */
+async function getActiveSessionId(db, userId) {
+    const session = await db.get(
+        `SELECT id FROM sessions WHERE user_id = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1`,
+        [userId]
+    );
+    return session ? session.id : null;
+}
+
+// Blob-store image references ("blobs/<hash>") are returned as absolute URLs,
+// based on PUBLIC_URL when the server sits behind a proxy prefix
+const PUBLIC_URL = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, "") : null;
+
+function publicBaseUrl(req) {
+    return PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+function imageUrlFor(req, imageUrl) {
+    if (!blobHashFromRef(imageUrl)) {
+        return imageUrl;
+    }
+    return `${publicBaseUrl(req)}/${imageUrl}`;
+}
+
+// The value to store for an imageUrl a client sent: data URIs go to the blob
+// store, and blob URLs as imageUrlFor returned them back to "blobs/<hash>"
+async function storedImageUrl(db, req, imageUrl) {
+    return externalizeDataUri(db, blobRefFromUrl(imageUrl, publicBaseUrl(req)));
+}
+
+// Pinned artworks joined with their shared artwork metadata, in the column order
+// the API has always returned
+const PINNED_ARTWORKS_QUERY = `
+    SELECT p.entryId, p.user_id, a.title, a.image_urls, a.descriptions, a.artist, a.artist_names,
+           a.thumbnail_url, a.url, a.rights, a.keywords, p.worldCoords, p.regionId,
+           p.isRepresentative, p.priority, p.isPinned, p.pinnedAt, p.createdAt, p.taskNumber, p.session_id,
+           p.version, p.updatedAt
+    FROM pinned_artworks p
+    JOIN artworks a ON a.entryId = p.entryId`;
+
 // Root route: show all users, user_images, pinned_artworks
 // Serve the dashboard HTML
 // Root route: redirect to dashboard
@@ -33,12 +121,13 @@ app.get("/logs", (req, res) => {
 
 
 // API data endpoint for the dashboard
-app.get("/api-data", async (req, res) => {
+app.get("/api-data", requireResearcher, async (req, res) => {
     try {
         const db = await dbPromise;
         const users = await db.all("SELECT * FROM users");
-        const userImages = await db.all("SELECT * FROM user_images");
-        const pinnedArtworks = await db.all("SELECT * FROM pinned_artworks");
+        const userImages = (await db.all("SELECT * FROM user_images"))
+            .map(img => ({ ...img, imageUrl: imageUrlFor(req, img.imageUrl) }));
+        const pinnedArtworks = await db.all(PINNED_ARTWORKS_QUERY);
 
         res.json({ users, userImages, pinnedArtworks });
     } catch (err) {
@@ -46,23 +135,75 @@ app.get("/api-data", async (req, res) => {
         res.status(500).json({ error: err.message });
     }
 });
+/**
+ * Researcher login (sets the session cookie the dashboards use)
+ */
+app.post("/auth/login", async (req, res) => {
+    try {
+        const token = await withTransaction(db => loginResearcher(db, req.body?.password));
+        if (!token) {
+            return res.status(401).json({ error: "Invalid password" });
+        }
+
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: "strict",
+            secure: req.secure,
+            maxAge: SESSION_TTL_MS
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error logging in:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post("/auth/logout", async (req, res) => {
+    try {
+        await withTransaction(db => logoutResearcher(db, req));
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error logging out:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Who the current credentials belong to
+app.get("/auth/me", (req, res) => {
+    res.json({ auth: req.auth });
+});
+
 /**
  * Add user
+ *
+ * The response carries the user's write token, which the participant's client
+ * sends as "Authorization: Bearer <token>" on its own writes. It is only shown
+ * once; researchers can replace it with POST /users/:id/token.
  */
 app.post("/add-user", async (req, res) => {
     try {
-        const { userId } = req.body;
+        const { userId } = req.body || {};
         if (!userId) {
             return res.status(400).json({ error: "Missing userId" });
         }
 
-        const db = await dbPromise;
-        await db.run(
-            `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
-            [userId, JSON.stringify([]), JSON.stringify([])]
-        );
+        const writeToken = await withTransaction(async (db) => {
+            const existing = await db.get(`SELECT user_id FROM users WHERE user_id = ?`, [userId]);
+            if (existing) {
+                return null;
+            }
+            await db.run(
+                `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
+                [userId, JSON.stringify([]), JSON.stringify([])]
+            );
+            return issueParticipantToken(db, userId);
+        });
+        if (!writeToken) {
+            return res.status(409).json({ error: `User ${userId} already exists` });
+        }
 
-        res.json({ success: true, message: `User ${userId} added.` });
+        res.json({ success: true, message: `User ${userId} added.`, writeToken });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: err.message });
@@ -70,59 +211,195 @@ app.post("/add-user", async (req, res) => {
 });
 
 /**
- * Add user image (auto-create user if missing)
+ * Issue a new write token for an existing user (the old one stops working)
  */
-app.post("/add-user-image", async (req, res) => {
+app.post("/users/:id/token", requireResearcher, async (req, res) => {
     try {
-        const { userId, image } = req.body;
-        if (!userId || !image?.userimage_id) {
-            return res.status(400).json({ error: "Missing userId or image data" });
+        const { id: userId } = req.params;
+
+        const writeToken = await withTransaction(async (db) => {
+            const user = await db.get(`SELECT user_id FROM users WHERE user_id = ?`, [userId]);
+            return user ? issueParticipantToken(db, userId) : null;
+        });
+        if (!writeToken) {
+            return res.status(404).json({ error: "User not found" });
         }
 
-        const db = await dbPromise;
-        
-        // Check if image already exists
-        const existingImage = await db.get(`SELECT * FROM user_images WHERE user_id = ? AND userimage_id = ?`, [userId, image.userimage_id]);
-        if (existingImage) {
-            return res.json({ success: true, message: "User image already exists." });
+        res.json({ success: true, userId, writeToken });
+    } catch (err) {
+        console.error("Error issuing write token:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Serve an image from the blob store
+ *
+ * Blobs never change once written, so they are cached for a year and
+ * revalidate with the hash as ETag.
+ */
+app.get("/blobs/:hash", async (req, res) => {
+    try {
+        const { hash } = req.params;
+        if (!isBlobHash(hash)) {
+            return res.status(400).json({ error: "Invalid blob hash" });
         }
 
-        let user = await db.get(`SELECT * FROM users WHERE user_id = ?`, [userId]);
+        const db = await dbPromise;
+        const blob = await getBlob(db, hash);
+        if (!blob || !fs.existsSync(blobPath(hash))) {
+            return res.status(404).json({ error: "Blob not found" });
+        }
 
-        if (!user) {
-            await db.run(
-                `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
-                [userId, JSON.stringify([image.userimage_id]), JSON.stringify([])]
-            );
-        } else {
-            const imageIds = JSON.parse(user.userImageIds || "[]");
-            if (!imageIds.includes(image.userimage_id)) {
-                imageIds.push(image.userimage_id);
-                // Update the updatedAt timestamp
-                await db.run(`UPDATE users SET userImageIds = ?, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE user_id = ?`, [
-                    JSON.stringify(imageIds),
-                    userId,
-                ]);
-            }
+        const etag = `"${hash}"`;
+        res.setHeader("ETag", etag);
+        res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+        if (req.get("if-none-match") === etag) {
+            return res.status(304).end();
         }
 
+        res.setHeader("Content-Type", blob.content_type);
+        res.setHeader("Content-Length", blob.size);
+        fs.createReadStream(blobPath(hash)).pipe(res);
+    } catch (err) {
+        console.error("Error serving blob:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Add `id` to one of a user's users.userImageIds / pinnedArtworkIds lists,
+// creating the user if there is none yet
+async function addToUserList(db, userId, column, id) {
+    const user = await db.get(`SELECT ${column} FROM users WHERE user_id = ?`, [userId]);
+    if (!user) {
+        const lists = { userImageIds: [], pinnedArtworkIds: [], [column]: [id] };
         await db.run(
-            `INSERT INTO user_images 
-                (userimage_id, user_id, title, imageUrl, worldCoords, regionId, confidence, anchors, dateAdded)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                image.userimage_id,
-                userId,
-                image.title || "",
-                image.imageUrl || "",
-                JSON.stringify(image.worldCoords || []),
-                image.regionId ?? null,
-                image.confidence ?? null,
-                JSON.stringify(image.anchors || []),
-                image.dateAdded || new Date().toISOString(),
-            ]
+            `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
+            [userId, JSON.stringify(lists.userImageIds), JSON.stringify(lists.pinnedArtworkIds)]
         );
+        return;
+    }
+    const ids = JSON.parse(user[column] || "[]");
+    if (ids.includes(id)) {
+        return;
+    }
+    ids.push(id);
+    await db.run(`UPDATE users SET ${column} = ?, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE user_id = ?`, [
+        JSON.stringify(ids),
+        userId,
+    ]);
+}
+
+// Store a new user image and list it on the user (run inside a transaction);
+// false if the user already has an image with that id
+async function insertUserImage(db, userId, image, req) {
+    const existing = await db.get(`SELECT 1 FROM user_images WHERE user_id = ? AND userimage_id = ?`, [userId, image.userimage_id]);
+    if (existing) {
+        return false;
+    }
+    await addToUserList(db, userId, "userImageIds", image.userimage_id);
+
+    // Inline data URIs go to the blob store; the row keeps "blobs/<hash>"
+    const imageUrl = await storedImageUrl(db, req, image.imageUrl || "");
+
+    await db.run(
+        `INSERT INTO user_images 
+            (userimage_id, user_id, title, imageUrl, worldCoords, regionId, confidence, anchors, dateAdded, session_id, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+        [
+            image.userimage_id,
+            userId,
+            image.title || "",
+            imageUrl,
+            JSON.stringify(image.worldCoords || []),
+            image.regionId ?? null,
+            image.confidence ?? null,
+            JSON.stringify(image.anchors || []),
+            image.dateAdded || new Date().toISOString(),
+            await getActiveSessionId(db, userId),
+        ]
+    );
+    return true;
+}
+
+// Pin an artwork for a user (run inside a transaction); false if it is already pinned
+async function insertUserPin(db, userId, artwork) {
+    const existing = await db.get(`SELECT 1 FROM pinned_artworks WHERE user_id = ? AND entryId = ?`, [userId, artwork.entryId]);
+    if (existing) {
+        return false;
+    }
+    await addToUserList(db, userId, "pinnedArtworkIds", artwork.entryId);
+
+    // Artwork metadata is shared across users and stored once
+    await db.run(
+        `INSERT INTO artworks 
+        (entryId, title, image_urls, descriptions, artist, artist_names, thumbnail_url, url, rights, keywords)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(entryId) DO NOTHING`,
+        [
+        artwork.entryId,
+        artwork.title || "",
+        JSON.stringify(artwork.image_urls || {}),
+        JSON.stringify(artwork.descriptions || {}),
+        artwork.artist || "",
+        JSON.stringify(artwork.artist_names || []),
+        artwork.thumbnail_url || "",
+        artwork.url || "",
+        artwork.rights || "",
+        JSON.stringify(artwork.keywords || [])
+        ]
+    );
+
+    await db.run(
+        `INSERT INTO pinned_artworks 
+        (entryId, user_id, worldCoords, regionId, isRepresentative, priority, taskNumber, session_id, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+        [
+        artwork.entryId,
+        userId,
+        artwork.worldCoords ? JSON.stringify(artwork.worldCoords) : null,
+        artwork.regionId ?? null,
+        artwork.isRepresentative ?? null,
+        artwork.priority ?? null,
+        artwork.taskNumber ?? null,
+        await getActiveSessionId(db, userId)
+        ]
+    );
+    return true;
+}
+
+// What the live feed announces for a new image / pin
+const imageFeedItem = (image) => ({
+    userimage_id: image.userimage_id,
+    title: image.title || "",
+    worldCoords: image.worldCoords || [],
+    regionId: image.regionId ?? null
+});
+
+const pinFeedItem = (artwork) => ({
+    entryId: artwork.entryId,
+    title: artwork.title || "",
+    worldCoords: artwork.worldCoords ?? null,
+    regionId: artwork.regionId ?? null,
+    taskNumber: artwork.taskNumber ?? null
+});
+
+/**
+ * Add user image (auto-create user if missing)
+ */
+app.post("/add-user-image", requireOwner(req => req.body?.userId), async (req, res) => {
+    try {
+        const { userId, image } = req.body || {};
+        if (!userId || !image?.userimage_id) {
+            return res.status(400).json({ error: "Missing userId or image data" });
+        }
+
+        const added = await withTransaction(db => insertUserImage(db, userId, image, req));
+        if (!added) {
+            return res.json({ success: true, message: "User image already exists." });
+        }
 
+        liveFeed.publish("image", userId, imageFeedItem(image));
         res.json({ success: true, message: "User image added." });
     } catch (err) {
         console.error(err);
@@ -133,75 +410,147 @@ app.post("/add-user-image", async (req, res) => {
 /**
  * Add pinned artwork (auto-create user if missing)
  */
-app.post("/add-user-pin", async (req, res) => {
+app.post("/add-user-pin", requireOwner(req => req.body?.userId), async (req, res) => {
     try {
-        const { userId, artwork } = req.body;
+        const { userId, artwork } = req.body || {};
         if (!userId || !artwork?.entryId) {
             return res.status(400).json({ error: "Missing userId or artwork data" });
         }
 
-        const db = await dbPromise;
-        
-        // Check if artwork is already pinned
-        const existingPin = await db.get(`SELECT * FROM pinned_artworks WHERE user_id = ? AND entryId = ?`, [userId, artwork.entryId]);
-        if (existingPin) {
+        const added = await withTransaction(db => insertUserPin(db, userId, artwork));
+        if (!added) {
             return res.json({ success: true, message: "Artwork already pinned." });
         }
 
-        let user = await db.get(`SELECT * FROM users WHERE user_id = ?`, [userId]);
+        liveFeed.publish("pin", userId, pinFeedItem(artwork));
+        res.json({ success: true, message: "Pinned artwork added." });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (!user) {
-            await db.run(
-                `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
-                [userId, JSON.stringify([]), JSON.stringify([artwork.entryId])]
-            );
-        } else {
-            const pinIds = JSON.parse(user.pinnedArtworkIds || "[]");
-            if (!pinIds.includes(artwork.entryId)) {
-                pinIds.push(artwork.entryId);
-                // Update the updatedAt timestamp
-                await db.run(`UPDATE users SET pinnedArtworkIds = ?, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE user_id = ?`, [
-                    JSON.stringify(pinIds),
-                    userId,
-                ]);
-            }
+// Pins and user images as the API returns them, with JSON columns parsed
+function pinResponse(row) {
+    return { ...row, worldCoords: row.worldCoords ? JSON.parse(row.worldCoords) : null };
+}
+
+function imageResponse(req, row) {
+    return {
+        ...row,
+        imageUrl: imageUrlFor(req, row.imageUrl),
+        worldCoords: JSON.parse(row.worldCoords || "[]"),
+        anchors: JSON.parse(row.anchors || "[]")
+    };
+}
+
+// A PINNED_ARTWORKS_QUERY row, with the artwork's metadata
+function pinnedArtworkResponse(pin) {
+    return {
+        ...pin,
+        image_urls: JSON.parse(pin.image_urls || '{}'),
+        descriptions: JSON.parse(pin.descriptions || '{}'),
+        artist_names: JSON.parse(pin.artist_names || '[]'),
+        keywords: JSON.parse(pin.keywords || '[]'),
+        worldCoords: JSON.parse(pin.worldCoords || '[]')
+    };
+}
+
+// Remove `id` from one of a user's users.userImageIds / pinnedArtworkIds lists
+async function removeFromUserList(db, userId, column, id) {
+    const user = await db.get(`SELECT ${column} FROM users WHERE user_id = ?`, [userId]);
+    if (!user) {
+        return;
+    }
+    const ids = JSON.parse(user[column] || "[]").filter(item => item !== id);
+    await db.run(`UPDATE users SET ${column} = ?, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE user_id = ?`, [
+        JSON.stringify(ids),
+        userId,
+    ]);
+}
+
+/**
+ * Change a row of `table` inside a transaction, if If-Match names its current
+ * version. Returns { status, row }: 404 without a row, 409 (with the current
+ * row) on a version conflict, otherwise 200 with the updated row, or 204 when
+ * `columns` is null and the row was deleted (after which `onDelete(db, row)`
+ * runs in the same transaction). `columns` may also be an async function of
+ * the transaction's db returning them.
+ */
+async function versionedChange(req, table, key, columns, { onDelete } = {}) {
+    const where = Object.keys(key).map(column => `${column} = ?`).join(" AND ");
+    const keyValues = Object.values(key);
+
+    return withTransaction(async db => {
+        const row = await db.get(`SELECT * FROM ${table} WHERE ${where}`, keyValues);
+        if (!row) {
+            return { status: 404 };
+        }
+        if (!ifMatchSatisfied(req.get("if-match"), row)) {
+            return { status: 409, row };
+        }
+
+        if (columns === null) {
+            await db.run(`DELETE FROM ${table} WHERE ${where}`, keyValues);
+            await onDelete?.(db, row);
+            return { status: 204, row };
         }
 
+        const values = typeof columns === "function" ? await columns(db) : columns;
+        const assignments = Object.keys(values).map(column => `${column} = ?`).join(", ");
         await db.run(
-            `INSERT INTO pinned_artworks 
-            (entryId, user_id, title, image_urls, descriptions, artist, artist_names, thumbnail_url, url, rights, keywords, worldCoords, regionId, isRepresentative, priority, taskNumber)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-            artwork.entryId,
-            userId,
-            artwork.title || "",
-            JSON.stringify(artwork.image_urls || {}),
-            JSON.stringify(artwork.descriptions || {}),
-            artwork.artist || "",
-            JSON.stringify(artwork.artist_names || []),
-            artwork.thumbnail_url || "",
-            artwork.url || "",
-            artwork.rights || "",
-            JSON.stringify(artwork.keywords || []),
-            artwork.worldCoords ? JSON.stringify(artwork.worldCoords) : null,
-            artwork.regionId ?? null,
-            artwork.isRepresentative ?? null,
-            artwork.priority ?? null,
-            artwork.taskNumber ?? null  // Add this line
-            ]
+            `UPDATE ${table} SET ${assignments}, version = version + 1, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+             WHERE ${where}`,
+            [...Object.values(values), ...keyValues]
         );
+        return { status: 200, row: await db.get(`SELECT * FROM ${table} WHERE ${where}`, keyValues) };
+    });
+}
 
-        res.json({ success: true, message: "Pinned artwork added." });
+// The 404/409 responses shared by the PATCH and DELETE routes
+function sendVersionedFailure(res, result, what, toResponse) {
+    if (result.status === 404) {
+        return res.status(404).json({ error: `${what} not found` });
+    }
+    res.setHeader("ETag", etagFor(result.row));
+    res.status(409).json({
+        error: `${what} was changed by someone else (now version ${result.row.version}); reload it and try again`,
+        current: toResponse(result.row)
+    });
+}
+
+/**
+ * Change a pinned artwork's placement or flags
+ *
+ * Send If-Match with the pin's version (its ETag) to only apply the change if
+ * nobody else changed the pin first; a stale version gets a 409 with the
+ * current pin.
+ */
+app.patch("/user-pin/:userId/:entryId", requireOwner(req => req.params.userId), async (req, res) => {
+    try {
+        const { userId, entryId } = req.params;
+        const columns = parsePatch(req.body, PIN_FIELDS);
+
+        const result = await versionedChange(req, "pinned_artworks", { user_id: userId, entryId }, columns);
+        if (result.status !== 200) {
+            return sendVersionedFailure(res, result, "Pinned artwork", pinResponse);
+        }
+
+        res.setHeader("ETag", etagFor(result.row));
+        res.json({ success: true, pin: pinResponse(result.row) });
     } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
         console.error(err);
         res.status(500).json({ error: err.message });
     }
 });
 
 /**
- * Remove pinned artwork
+ * Remove pinned artwork (If-Match as for PATCH)
  */
-app.delete("/remove-user-pin/:userId/:entryId", async (req, res) => {
+async function removeUserPin(req, res) {
     try {
         const { userId, entryId } = req.params;
         if (!userId || !entryId) {
@@ -209,40 +558,300 @@ app.delete("/remove-user-pin/:userId/:entryId", async (req, res) => {
         }
 
         const db = await dbPromise;
-        
-        // Check if user exists
-        const user = await db.get(`SELECT * FROM users WHERE user_id = ?`, [userId]);
+        const user = await db.get(`SELECT user_id FROM users WHERE user_id = ?`, [userId]);
         if (!user) {
             return res.status(404).json({ error: "User not found" });
         }
 
-        // Remove from pinned_artworks table
-        const result = await db.run(`DELETE FROM pinned_artworks WHERE user_id = ? AND entryId = ?`, [userId, entryId]);
-        
-        if (result.changes === 0) {
-            return res.status(404).json({ error: "Pinned artwork not found" });
+        const result = await versionedChange(req, "pinned_artworks", { user_id: userId, entryId }, null, {
+            onDelete: db => removeFromUserList(db, userId, "pinnedArtworkIds", entryId)
+        });
+        if (result.status !== 204) {
+            return sendVersionedFailure(res, result, "Pinned artwork", pinResponse);
         }
 
-        // Update user's pinnedArtworkIds array
-        const pinIds = JSON.parse(user.pinnedArtworkIds || "[]");
-        const updatedPinIds = pinIds.filter(id => id !== entryId);
-        
-        await db.run(`UPDATE users SET pinnedArtworkIds = ?, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE user_id = ?`, [
-            JSON.stringify(updatedPinIds),
-            userId,
-        ]);
-
+        liveFeed.publish("unpin", userId, { entryId });
         res.json({ success: true, message: "Pinned artwork removed." });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: err.message });
     }
+}
+
+app.delete("/user-pin/:userId/:entryId", requireOwner(req => req.params.userId), removeUserPin);
+app.delete("/remove-user-pin/:userId/:entryId", requireOwner(req => req.params.userId), removeUserPin);
+
+/**
+ * Change a user image's title, URL, placement, confidence or anchors
+ * (If-Match as for pins)
+ */
+app.patch("/user-image/:userId/:imageId", requireOwner(req => req.params.userId), async (req, res) => {
+    try {
+        const { userId, imageId } = req.params;
+        const columns = parsePatch(req.body, IMAGE_FIELDS);
+
+        // A new data URI goes to the blob store, as in /add-user-image
+        const result = await versionedChange(req, "user_images", { user_id: userId, userimage_id: imageId }, async db =>
+            columns.imageUrl === undefined ? columns : { ...columns, imageUrl: await storedImageUrl(db, req, columns.imageUrl) }
+        );
+        if (result.status !== 200) {
+            return sendVersionedFailure(res, result, "User image", row => imageResponse(req, row));
+        }
+        if (columns.imageUrl !== undefined) {
+            await withTransaction(removeUnreferencedBlobs);
+        }
+
+        res.setHeader("ETag", etagFor(result.row));
+        res.json({ success: true, image: imageResponse(req, result.row) });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Delete a user image (If-Match as for pins)
+ */
+app.delete("/user-image/:userId/:imageId", requireOwner(req => req.params.userId), async (req, res) => {
+    try {
+        const { userId, imageId } = req.params;
+
+        const result = await versionedChange(req, "user_images", { user_id: userId, userimage_id: imageId }, null, {
+            onDelete: db => removeFromUserList(db, userId, "userImageIds", imageId)
+        });
+        if (result.status !== 204) {
+            return sendVersionedFailure(res, result, "User image", row => imageResponse(req, row));
+        }
+        await withTransaction(removeUnreferencedBlobs);
+
+        res.json({ success: true, message: "User image deleted." });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The two kinds of item on a board, as a board sync handles them
+const BOARD_KINDS = {
+    images: { table: "user_images", idColumn: "userimage_id", fields: IMAGE_FIELDS },
+    pins: { table: "pinned_artworks", idColumn: "entryId", fields: PIN_FIELDS },
+};
+
+// A board sync body as { images, pins, syncedAt }; throws a RangeError if it is not one
+function parseBoard(body) {
+    const board = { syncedAt: parseTimestamp(body?.syncedAt, "syncedAt") };
+    for (const [name, { idColumn }] of Object.entries(BOARD_KINDS)) {
+        const items = body?.[name];
+        if (!Array.isArray(items)) {
+            throw new RangeError(`${name} should be an array (send [] for none)`);
+        }
+        const ids = new Set();
+        for (const item of items) {
+            const id = item?.[idColumn];
+            if (id === undefined || id === null || id === "") {
+                throw new RangeError(`Every item in ${name} needs a ${idColumn}`);
+            }
+            if (ids.has(String(id))) {
+                throw new RangeError(`${name} has ${idColumn} ${id} more than once`);
+            }
+            if (item.version !== undefined && !Number.isInteger(item.version)) {
+                throw new RangeError(`version of ${idColumn} ${id} should be a whole number`);
+            }
+            ids.add(String(id));
+        }
+        board[name] = items;
+    }
+    return board;
+}
+
+/**
+ * Make a participant's stored board match the full board a client sent, in
+ * one transaction. Items the client has and we don't are added, changed
+ * fields are saved, and stored items the client no longer has are removed.
+ * What cannot be applied safely is left as stored and listed in `conflicts`:
+ * - "removed": the client sent a version of an item that is gone from here
+ * - "changed": the client's version is stale, or it dropped an item that
+ *   changed here after its last sync (`syncedAt`)
+ * - "unseen": the client dropped an item but sent no syncedAt, so it may
+ *   never have seen it
+ * Returns the stored board afterwards, what was applied and the conflicts.
+ */
+async function syncBoard(req, userId, board) {
+    const toResponse = { images: row => imageResponse(req, row), pins: pinResponse };
+    const shown = { images: row => imageResponse(req, row), pins: pinnedArtworkResponse };
+    const insert = { images: (db, userId, image) => insertUserImage(db, userId, image, req), pins: insertUserPin };
+
+    return withTransaction(async db => {
+        const applied = {};
+        const conflicts = [];
+        await db.run(
+            `INSERT INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?) ON CONFLICT(user_id) DO NOTHING`,
+            [userId, JSON.stringify([]), JSON.stringify([])]
+        );
+
+        for (const [name, { table, idColumn, fields }] of Object.entries(BOARD_KINDS)) {
+            const done = applied[name] = { added: [], updated: [], removed: [] };
+            const conflict = (id, reason, row) => conflicts.push({ kind: name, id, reason, current: row ? toResponse[name](row) : null });
+            const where = `user_id = ? AND ${idColumn} = ?`;
+
+            const rows = await db.all(`SELECT * FROM ${table} WHERE user_id = ?`, [userId]);
+            const stored = new Map(rows.map(row => [String(row[idColumn]), row]));
+
+            for (const item of board[name]) {
+                const id = item[idColumn];
+                const row = stored.get(String(id));
+                stored.delete(String(id));
+
+                if (!row) {
+                    // Only items the client got from us carry a version
+                    if (item.version !== undefined) {
+                        conflict(id, "removed", null);
+                    } else {
+                        await insert[name](db, userId, item);
+                        done.added.push(id);
+                    }
+                    continue;
+                }
+
+                // Compared as /get-user shows them, then with what is stored, so
+                // echoing a pin's worldCoords [] for a stored null is no change
+                const columns = parseChanges(item, shown[name](row), fields) || {};
+                const dropUnchanged = () => Object.keys(columns).filter(c => columns[c] === row[c]).forEach(c => delete columns[c]);
+                dropUnchanged();
+                if (Object.keys(columns).length === 0) {
+                    continue;
+                }
+                if (item.version !== undefined && item.version !== row.version) {
+                    conflict(id, "changed", row);
+                    continue;
+                }
+                if (columns.imageUrl !== undefined) {
+                    columns.imageUrl = await storedImageUrl(db, req, columns.imageUrl);
+                    dropUnchanged();
+                    if (Object.keys(columns).length === 0) {
+                        continue;
+                    }
+                }
+                const assignments = Object.keys(columns).map(column => `${column} = ?`).join(", ");
+                await db.run(
+                    `UPDATE ${table} SET ${assignments}, version = version + 1, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+                     WHERE ${where}`,
+                    [...Object.values(columns), userId, row[idColumn]]
+                );
+                done.updated.push(id);
+            }
+
+            // Left over: stored items the client does not have
+            for (const row of stored.values()) {
+                const id = row[idColumn];
+                if (!board.syncedAt) {
+                    conflict(id, "unseen", row);
+                } else if (row.updatedAt > board.syncedAt) {
+                    conflict(id, "changed", row);
+                } else {
+                    await db.run(`DELETE FROM ${table} WHERE ${where}`, [userId, id]);
+                    done.removed.push(id);
+                }
+            }
+        }
+
+        // Rebuilt rather than patched, which also repairs lists that drifted from the tables
+        await syncUserIdLists(db, userId);
+
+        const images = await db.all(`SELECT * FROM user_images WHERE user_id = ? ORDER BY dateAdded DESC`, [userId]);
+        const pins = await db.all(`${PINNED_ARTWORKS_QUERY} WHERE p.user_id = ? ORDER BY p.pinnedAt DESC`, [userId]);
+        // Taken after every write, so the next sync can tell what this client has seen
+        const { now } = await db.get(`SELECT strftime('%Y-%m-%dT%H:%M:%fZ', 'now') as now`);
+
+        return {
+            syncedAt: now,
+            userImages: images.map(row => imageResponse(req, row)),
+            pinnedArtworks: pins.map(pinnedArtworkResponse),
+            applied,
+            conflicts
+        };
+    });
+}
+
+/**
+ * Sync a participant's whole board
+ *
+ * The client sends every image and pin it has, as { images, pins, syncedAt },
+ * with the version of each item it got from us and the syncedAt of its last
+ * sync. All changes apply in one transaction, and the response has the stored
+ * board (userImages and pinnedArtworks, as /get-user returns them), a new
+ * syncedAt, what was applied and any conflicts (see syncBoard).
+ */
+app.put("/user-board/:userId", requireOwner(req => req.params.userId), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const board = parseBoard(req.body);
+
+        const result = await syncBoard(req, userId, board);
+        const { images, pins } = result.applied;
+        if (images.updated.length > 0 || images.removed.length > 0) {
+            await withTransaction(removeUnreferencedBlobs);
+        }
+
+        const isAdded = (added, idColumn) => item => added.some(id => String(id) === String(item[idColumn]));
+        board.images.filter(isAdded(images.added, "userimage_id")).forEach(image => liveFeed.publish("image", userId, imageFeedItem(image)));
+        board.pins.filter(isAdded(pins.added, "entryId")).forEach(artwork => liveFeed.publish("pin", userId, pinFeedItem(artwork)));
+        pins.removed.forEach(entryId => liveFeed.publish("unpin", userId, { entryId }));
+
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error syncing board:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Live monitoring feed over Server-Sent Events
+ *
+ * Announces every logged event ("log"), pin ("pin"), unpin ("unpin") and user
+ * image ("image") as it is stored, plus "status" when a participant turns
+ * active or idle. ?userId= takes a comma-separated list of participants to
+ * watch. The stream opens with a "participants" snapshot.
+ */
+function parseUserIds(value) {
+    return value ? String(value).split(",").map(id => id.trim()).filter(Boolean) : [];
+}
+
+app.get("/api/live", requireResearcher, (req, res) => {
+    const userIds = parseUserIds(req.query.userId);
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send("participants", { idleAfterMs: liveFeed.idleAfterMs, participants: liveFeed.participants(userIds) });
+
+    const unsubscribe = liveFeed.subscribe(item => send(item.type, item), { userIds });
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Current active/idle status of every participant seen since the server started
+app.get("/api/live/participants", requireResearcher, (req, res) => {
+    res.json({ participants: liveFeed.participants(parseUserIds(req.query.userId)) });
 });
 
 /**
  * Get user data (images + pinned artworks)
  */
-app.get("/get-user/:id", async (req, res) => {
+app.get("/get-user/:id", requireOwner(req => req.params.id), async (req, res) => {
     try {
         const { id: userId } = req.params;
         const db = await dbPromise;
@@ -253,31 +862,14 @@ app.get("/get-user/:id", async (req, res) => {
         }
 
         const images = await db.all(`SELECT * FROM user_images WHERE user_id = ? ORDER BY dateAdded DESC`, [userId]);
-        const pins = await db.all(`SELECT * FROM pinned_artworks WHERE user_id = ? ORDER BY pinnedAt DESC`, [userId]);
-
-        // Parse JSON fields for images
-        const parsedImages = images.map(img => ({
-            ...img,
-            worldCoords: JSON.parse(img.worldCoords || '[]'),
-            anchors: JSON.parse(img.anchors || '[]')
-        }));
-
-        // Parse JSON fields for pins
-        const parsedPins = pins.map(pin => ({
-            ...pin,
-            image_urls: JSON.parse(pin.image_urls || '{}'),
-            descriptions: JSON.parse(pin.descriptions || '{}'),
-            artist_names: JSON.parse(pin.artist_names || '[]'),
-            keywords: JSON.parse(pin.keywords || '[]'),
-            worldCoords: JSON.parse(pin.worldCoords || '[]')
-        }));
+        const pins = await db.all(`${PINNED_ARTWORKS_QUERY} WHERE p.user_id = ? ORDER BY p.pinnedAt DESC`, [userId]);
 
         res.json({
             ...user,
             userImageIds: JSON.parse(user.userImageIds || "[]"),
             pinnedArtworkIds: JSON.parse(user.pinnedArtworkIds || "[]"),
-            userImages: parsedImages,
-            pinnedArtworks: parsedPins,
+            userImages: images.map(img => imageResponse(req, img)),
+            pinnedArtworks: pins.map(pinnedArtworkResponse),
         });
     } catch (err) {
         console.error(err);
@@ -286,9 +878,14 @@ app.get("/get-user/:id", async (req, res) => {
 });
 
 /**
- * Delete a user + all related records
+ * Delete a user's account and board (images, pins, tokens, board history),
+ * and the image files no one else refers to
+ *
+ * Not an erasure: their logs and sessions stay for analysis, as do their
+ * user_logs/ files and the before-delete-user snapshot. Use
+ * POST /users/:id/forget to erase a participant.
  */
-app.delete("/user/:id", async (req, res) => {
+app.delete("/user/:id", requireResearcher, async (req, res) => {
     try {
         const { id: userId } = req.params;
         const db = await dbPromise;
@@ -299,11 +896,23 @@ app.delete("/user/:id", async (req, res) => {
             return res.status(404).json({ error: "User not found" });
         }
 
-        await db.run(`DELETE FROM user_images WHERE user_id = ?`, [userId]);
-        await db.run(`DELETE FROM pinned_artworks WHERE user_id = ?`, [userId]);
-        await db.run(`DELETE FROM users WHERE user_id = ?`, [userId]);
+        // Keep a way back: this removes the participant's whole board
+        const snapshot = await withExclusiveAccess(db => createSnapshot(db, { reason: "before-delete-user" }));
+
+        await withTransaction(async (db, tx) => {
+            await db.run(`DELETE FROM user_images WHERE user_id = ?`, [userId]);
+            await db.run(`DELETE FROM pinned_artworks WHERE user_id = ?`, [userId]);
+            await db.run(`DELETE FROM participant_tokens WHERE user_id = ?`, [userId]);
+            await db.run(`DELETE FROM users WHERE user_id = ?`, [userId]);
+            await db.run(`DELETE FROM board_history WHERE user_id = ?`, [userId]);
+            await removeUnreferencedBlobs(db, tx);
+        });
 
-        res.json({ success: true, message: `User ${userId} and related data deleted.` });
+        res.json({
+            success: true,
+            message: `User ${userId} and their board deleted; logs and sessions are kept (POST /users/${userId}/forget erases everything).`,
+            snapshot: snapshot.name
+        });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: err.message });
@@ -311,109 +920,954 @@ app.delete("/user/:id", async (req, res) => {
 });
 
 /**
- * Log user event
+ * Board history endpoints
+ *
+ * Every pin and user image being added, changed or removed is kept in
+ * board_history, so a participant's board can be rebuilt as it stood at any
+ * moment, including pins they dropped later.
  */
-app.post("/log-event", async (req, res) => {
-    try {
-        const { userId, timestamp, message, ...extraFields } = req.body;
-        if (!userId) {
-            return res.status(400).json({ error: "Missing userId" });
-        }
 
+// Rows from board_history shaped like the live pin / image responses
+function boardRowResponse(req) {
+    return (kind, row) => (kind === "pin" ? pinResponse(row) : imageResponse(req, row));
+}
+
+// A participant's pinned artworks and images at ?at= (default: now)
+app.get("/api/users/:id/board", requireResearcher, async (req, res) => {
+    try {
+        const { id: userId } = req.params;
+        const at = parseTimestamp(req.query.at, "at", new Date().toISOString());
         const db = await dbPromise;
-        
-        // Combine all event data
-        const eventData = {
-            message: message || "",
-            ...extraFields
-        };
 
-        const eventTimestamp = timestamp || new Date().toISOString();
+        const user = await db.get(`SELECT user_id FROM users WHERE user_id = ?`, [userId]);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
 
-        await db.run(
-            `INSERT INTO user_logs (user_id, timestamp, message, event_data) 
-             VALUES (?, ?, ?, ?)`,
-            [
-                userId,
-                eventTimestamp,
-                message || "",
-                JSON.stringify(eventData)
-            ]
+        res.json({ userId, ...(await boardAt(db, userId, at, { format: boardRowResponse(req) })) });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error rebuilding board:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// What was added, removed and changed on a participant's board between ?from= and ?to= (default: now)
+app.get("/api/users/:id/board/diff", requireResearcher, async (req, res) => {
+    try {
+        const { id: userId } = req.params;
+        const from = parseTimestamp(req.query.from, "from");
+        if (!from) {
+            return res.status(400).json({ error: "from is required" });
+        }
+        const to = parseTimestamp(req.query.to, "to", new Date().toISOString());
+        const db = await dbPromise;
+
+        const user = await db.get(`SELECT user_id FROM users WHERE user_id = ?`, [userId]);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        res.json({ userId, ...(await boardDiff(db, userId, from, to, { format: boardRowResponse(req) })) });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error diffing board:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Study session endpoints
+ *
+ * A session is one participant doing one task on one system (A/B) under one
+ * condition (P/C). Logs, pins and images recorded while a session is open are
+ * attached to it.
+ */
+
+// The participant a session belongs to (for requireOwner)
+async function sessionOwner(req) {
+    const db = await dbPromise;
+    const session = await db.get(`SELECT user_id FROM sessions WHERE id = ?`, [req.params.id]);
+    return session?.user_id;
+}
+
+// Add computed fields to a sessions row
+function formatSession(session) {
+    const end = session.ended_at ? new Date(session.ended_at) : new Date();
+    return {
+        ...session,
+        active: !session.ended_at,
+        duration_ms: end - new Date(session.started_at)
+    };
+}
+
+// Start a session (ends any session the user still has open)
+app.post("/sessions/start", requireOwner(req => req.body?.userId), async (req, res) => {
+    try {
+        const { userId, system, taskNumber, condition, startedAt } = req.body || {};
+        if (!userId || !system || taskNumber === undefined || taskNumber === null) {
+            return res.status(400).json({ error: "Missing userId, system or taskNumber" });
+        }
+        if (!["A", "B"].includes(system)) {
+            return res.status(400).json({ error: `system should be "A" or "B"` });
+        }
+        if (!/^\d+$/.test(String(taskNumber))) {
+            return res.status(400).json({ error: "taskNumber should be a whole number" });
+        }
+
+        const session = await withTransaction(async (db) => {
+            const now = startedAt || new Date().toISOString();
+            await db.run(
+                `INSERT OR IGNORE INTO users (user_id, userImageIds, pinnedArtworkIds) VALUES (?, ?, ?)`,
+                [userId, JSON.stringify([]), JSON.stringify([])]
+            );
+            await db.run(`UPDATE sessions SET ended_at = ? WHERE user_id = ? AND ended_at IS NULL`, [now, userId]);
+            const result = await db.run(
+                `INSERT INTO sessions (user_id, system, task_number, condition, started_at) VALUES (?, ?, ?, ?, ?)`,
+                [userId, system, Number(taskNumber), condition ? String(condition).toUpperCase() : null, now]
+            );
+            return db.get(`SELECT * FROM sessions WHERE id = ?`, [result.lastID]);
+        });
+
+        res.json({ success: true, session: formatSession(session) });
+    } catch (err) {
+        console.error("Error starting session:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// End a session
+app.post("/sessions/:id/end", requireOwner(sessionOwner), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { endedAt } = req.body || {};
+
+        const result = await withTransaction(async (db) => {
+            const session = await db.get(`SELECT * FROM sessions WHERE id = ?`, [id]);
+            if (!session || session.ended_at) {
+                return { session, ended: false };
+            }
+            await db.run(`UPDATE sessions SET ended_at = ? WHERE id = ?`, [endedAt || new Date().toISOString(), id]);
+            return { session: await db.get(`SELECT * FROM sessions WHERE id = ?`, [id]), ended: true };
+        });
+        if (!result.session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        if (!result.ended) {
+            return res.status(409).json({ error: "Session already ended", session: formatSession(result.session) });
+        }
+
+        res.json({ success: true, session: formatSession(result.session) });
+    } catch (err) {
+        console.error("Error ending session:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// List sessions (optionally filtered by userId, system, taskNumber, condition)
+app.get("/sessions", requireResearcher, async (req, res) => {
+    try {
+        const { userId, system, taskNumber, condition } = req.query;
+        const db = await dbPromise;
+
+        let query = `SELECT * FROM sessions WHERE 1 = 1`;
+        const params = [];
+
+        if (userId) {
+            query += ` AND user_id = ?`;
+            params.push(userId);
+        }
+        if (system) {
+            query += ` AND system = ?`;
+            params.push(system);
+        }
+        if (taskNumber) {
+            query += ` AND task_number = ?`;
+            params.push(Number(taskNumber));
+        }
+        if (condition) {
+            query += ` AND condition = ?`;
+            params.push(String(condition).toUpperCase());
+        }
+
+        query += ` ORDER BY user_id, started_at`;
+
+        const sessions = await db.all(query, params);
+        res.json({ sessions: sessions.map(formatSession) });
+    } catch (err) {
+        console.error("Error fetching sessions:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get one session with counts of the records attached to it
+app.get("/sessions/:id", requireResearcher, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const db = await dbPromise;
+
+        const session = await db.get(`SELECT * FROM sessions WHERE id = ?`, [id]);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+
+        const logCount = await db.get(`SELECT COUNT(*) as count FROM user_logs WHERE session_id = ?`, [id]);
+        const pinCount = await db.get(`SELECT COUNT(*) as count FROM pinned_artworks WHERE session_id = ?`, [id]);
+        const imageCount = await db.get(`SELECT COUNT(*) as count FROM user_images WHERE session_id = ?`, [id]);
+
+        res.json({
+            ...formatSession(session),
+            logCount: logCount.count,
+            pinCount: pinCount.count,
+            imageCount: imageCount.count
+        });
+    } catch (err) {
+        console.error("Error fetching session:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Replay a session's events over Server-Sent Events in their original timing
+ *
+ * ?speed= scales playback (default 1), ?from= starts at an offset in ms. The
+ * stream opens with a "ready" event carrying a replayId for
+ * POST /replays/:replayId, then sends "state" after each seek, "step" for each
+ * event (with the derived camera / pinned / images state) and "end".
+ */
+const replays = new Map();
+const MAX_REPLAY_SPEED = 1000;
+
+function parseReplaySpeed(value) {
+    const speed = Number(value);
+    if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_REPLAY_SPEED) {
+        throw new RangeError(`speed should be a number above 0 and at most ${MAX_REPLAY_SPEED}`);
+    }
+    return speed;
+}
+
+function parseReplayPosition(value) {
+    const position = Number(value);
+    if (!Number.isFinite(position) || position < 0) {
+        throw new RangeError("position should be a number of milliseconds from the session start");
+    }
+    return position;
+}
+
+app.get("/sessions/:id/replay", requireResearcher, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const speed = parseReplaySpeed(req.query.speed ?? 1);
+        const from = parseReplayPosition(req.query.from ?? 0);
+        const db = await dbPromise;
+
+        const session = await db.get(`SELECT * FROM sessions WHERE id = ?`, [id]);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+
+        const rows = await db.all(
+            `SELECT * FROM user_logs WHERE session_id = ? ORDER BY timestamp ASC, id ASC`,
+            [id]
         );
+        const logs = rows.map(parseLogRow);
+
+        res.setHeader("Content-Type", "text/event-stream");
+        res.setHeader("Cache-Control", "no-cache");
+        res.setHeader("Connection", "keep-alive");
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const replayId = randomUUID();
+
+        send("ready", { replayId, session: formatSession(session), eventCount: logs.length, speed, from });
+        const replay = createReplay(logs, {
+            speed,
+            from,
+            onStep: step => send("step", step),
+            onSeek: seek => send("state", seek),
+            onEnd: () => send("end", replay.status())
+        });
+        replays.set(replayId, replay);
+        // Only now: a session without events ends (and sends "end") right away
+        replay.resume();
+
+        // Keep proxies from timing out the connection while paused
+        const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            replay.stop();
+            replays.delete(replayId);
+        });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error starting replay:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Control a running replay: { action: "pause" | "resume" | "seek" | "speed",
+ * position (ms, for seek), speed (for speed) }
+ */
+app.post("/replays/:replayId", requireResearcher, (req, res) => {
+    try {
+        const replay = replays.get(req.params.replayId);
+        if (!replay) {
+            return res.status(404).json({ error: "Replay not found (it ends when its stream closes)" });
+        }
+
+        const { action, position, speed } = req.body || {};
+        switch (action) {
+            case "pause":
+                replay.pause();
+                break;
+            case "resume":
+                replay.resume();
+                break;
+            case "seek":
+                replay.seek(parseReplayPosition(position));
+                break;
+            case "speed":
+                replay.setSpeed(parseReplaySpeed(speed));
+                break;
+            default:
+                return res.status(400).json({ error: `action should be "pause", "resume", "seek" or "speed"` });
+        }
+
+        res.json(replay.status());
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error controlling replay:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Log user event
+ */
+app.post("/log-event", requireOwner(req => req.body?.userId), async (req, res) => {
+    try {
+        const { userId, timestamp, message, ...extraFields } = req.body || {};
+        if (!userId) {
+            return res.status(400).json({ error: "Missing userId" });
+        }
+
+        // Combine all event data
+        const eventData = {
+            message: message || "",
+            ...extraFields
+        };
+
+        const validationErrors = validateEvent(eventData);
+        if (validationErrors.length > 0 && EVENT_VALIDATION === "strict") {
+            return res.status(422).json({ error: "Invalid event", errors: validationErrors });
+        }
+
+        const eventTimestamp = timestamp || new Date().toISOString();
+
+        await withTransaction(async (db) => {
+            await db.run(
+                `INSERT INTO user_logs (user_id, timestamp, message, event_data, validation_errors, session_id) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    userId,
+                    eventTimestamp,
+                    message || "",
+                    JSON.stringify(eventData),
+                    validationErrors.length > 0 ? JSON.stringify(validationErrors) : null,
+                    await getActiveSessionId(db, userId)
+                ]
+            );
+        });
+
+        liveFeed.publish("log", userId, { timestamp: eventTimestamp, message: message || "", event_data: eventData, validation_errors: validationErrors });
+
+        if (validationErrors.length > 0) {
+            return res.json({ success: true, message: "Event logged with validation errors", errors: validationErrors });
+        }
+        res.json({ success: true, message: "Event logged" });
+    } catch (err) {
+        console.error("Error logging event:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Log a batch of events buffered by the client (idempotent)
+ *
+ * Each event carries a client-generated eventId and a seq number that counts up
+ * from 1 within the client's sessionId. Events already stored are skipped, so a
+ * client can safely resend a batch after a network failure.
+ */
+app.post("/log-events", requireOwner(req => req.body?.userId), async (req, res) => {
+    try {
+        const { userId, sessionId, events } = req.body || {};
+        if (!userId || !sessionId || !Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ error: "Missing userId, sessionId or events" });
+        }
+
+        const invalid = events
+            .map((event, index) => ({ event, index }))
+            .filter(({ event }) => !event?.eventId || !Number.isInteger(event.seq) || event.seq < 1)
+            .map(({ index }) => index);
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: "Every event needs an eventId and a positive integer seq", invalid });
+        }
+
+        const prepared = events.map(({ eventId, seq, timestamp, message, ...extraFields }) => {
+            const eventData = {
+                message: message || "",
+                ...extraFields
+            };
+            return { eventId, seq, timestamp, message, eventData, errors: validateEvent(eventData) };
+        });
+
+        const failed = prepared
+            .map(({ errors }, index) => ({ index, errors }))
+            .filter(({ errors }) => errors.length > 0);
+        if (failed.length > 0 && EVENT_VALIDATION === "strict") {
+            return res.status(422).json({ error: "Invalid events", invalid: failed });
+        }
+
+        const { stored, seqs } = await withTransaction(async (db) => {
+            const activeSessionId = await getActiveSessionId(db, userId);
+            const stmt = await db.prepare(
+                `INSERT OR IGNORE INTO user_logs (user_id, timestamp, message, event_data, event_id, client_session_id, seq, validation_errors, session_id) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            );
+            const stored = [];
+            try {
+                for (const { eventId, seq, timestamp, message, eventData, errors } of prepared) {
+                    const eventTimestamp = timestamp || new Date().toISOString();
+                    const result = await stmt.run(
+                        userId,
+                        eventTimestamp,
+                        message || "",
+                        JSON.stringify(eventData),
+                        String(eventId),
+                        String(sessionId),
+                        seq,
+                        errors.length > 0 ? JSON.stringify(errors) : null,
+                        activeSessionId
+                    );
+                    if (result.changes > 0) {
+                        stored.push({ timestamp: eventTimestamp, message: message || "", event_data: eventData, validation_errors: errors });
+                    }
+                }
+            } finally {
+                await stmt.finalize();
+            }
+
+            const rows = await db.all(
+                `SELECT seq FROM user_logs WHERE user_id = ? AND client_session_id = ? ORDER BY seq`,
+                [userId, String(sessionId)]
+            );
+            return { stored, seqs: rows.map(row => row.seq) };
+        });
+
+        for (const event of stored) {
+            liveFeed.publish("log", userId, event);
+        }
+
+        // Report every sequence number between 1 and the highest one received
+        // that the server has never seen, so the client can resend them
+        const received = new Set(seqs);
+        const highestSeq = seqs.length ? seqs[seqs.length - 1] : 0;
+        const missingSeqs = [];
+        for (let seq = 1; seq <= highestSeq; seq++) {
+            if (!received.has(seq)) {
+                missingSeqs.push(seq);
+            }
+        }
+
+        res.json({
+            success: true,
+            inserted: stored.length,
+            duplicates: events.length - stored.length,
+            highestSeq,
+            missingSeqs,
+            invalid: failed
+        });
+    } catch (err) {
+        console.error("Error logging events:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Response headers for a streamed log export
+function startLogStream(res, format, baseName) {
+    if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader("Content-Disposition", `attachment; filename="${baseName}.csv"`);
+    } else {
+        res.setHeader("Content-Type", "application/x-ndjson");
+        res.setHeader("Content-Disposition", `attachment; filename="${baseName}.ndjson"`);
+    }
+}
+
+/**
+ * Get user logs (with optional filtering)
+ *
+ * Pages are newest first (?order=asc for oldest first); pass the returned
+ * nextCursor as ?cursor= for the next page. Filter with message
+ * (comma-separated), since and until. ?format=ndjson|csv streams every
+ * matching log instead of one page.
+ */
+app.get("/get-logs/:userId", requireResearcher, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { limit = 100, offset = 0, cursor, order = "desc", message, since, until, format = "json" } = req.query;
+        if (!["asc", "desc"].includes(order)) {
+            return res.status(400).json({ error: `order should be "asc" or "desc"` });
+        }
+        if (!["json", "ndjson", "csv"].includes(format)) {
+            return res.status(400).json({ error: `format should be "json", "ndjson" or "csv"` });
+        }
+        const pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 10000) {
+            return res.status(400).json({ error: "limit should be a whole number between 1 and 10000" });
+        }
+
+        const db = await dbPromise;
+        const filters = { userId, message, since, until };
+
+        if (format !== "json") {
+            startLogStream(res, format, `${userId}_logs`);
+            await streamLogs(res, db, filters, { format, order });
+            return res.end();
+        }
+
+        const page = await fetchLogPage(db, filters, { limit: pageSize, cursor, order, offset: Number(offset) || 0 });
+        res.json({ logs: page.logs.map(parseLogRow), nextCursor: page.nextCursor });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error fetching logs:", err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Stream logs across all users (?format=ndjson|csv, oldest first)
+ *
+ * Filter with userId, message (comma-separated), since and until.
+ */
+app.get("/api/logs/export", requireResearcher, async (req, res) => {
+    try {
+        const { userId, message, since, until, format = "ndjson", order = "asc" } = req.query;
+        if (!["ndjson", "csv"].includes(format)) {
+            return res.status(400).json({ error: `format should be "ndjson" or "csv"` });
+        }
+        if (!["asc", "desc"].includes(order)) {
+            return res.status(400).json({ error: `order should be "asc" or "desc"` });
+        }
+
+        const db = await dbPromise;
+        startLogStream(res, format, userId ? `${userId}_logs` : "logs");
+        await streamLogs(res, db, { userId, message, since, until }, { format, order });
+        res.end();
+    } catch (err) {
+        console.error("Error exporting logs:", err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Query logs across participants
+ *
+ * Filters: userId, message (comma-separated), system, taskNumber, condition,
+ * since, until, and any number of ?where= event_data predicates such as
+ * mapLevel=1 or artworkData.regionId!=157 (= != > >= < <=). Returns the
+ * matching total, one page of logs (cursor-paginated like /get-logs, limit=0
+ * for counts only) and, with ?groupBy=message,system,..., counts per group.
+ */
+app.get("/api/logs/query", requireResearcher, async (req, res) => {
+    try {
+        const {
+            userId, message, system, taskNumber, condition, since, until, where, groupBy,
+            limit = 100, cursor, order = "desc"
+        } = req.query;
+        if (!["asc", "desc"].includes(order)) {
+            return res.status(400).json({ error: `order should be "asc" or "desc"` });
+        }
+        const pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 0 || pageSize > 1000) {
+            return res.status(400).json({ error: "limit should be a whole number between 0 and 1000" });
+        }
+
+        const db = await dbPromise;
+        const filters = { userId, message, system, taskNumber, condition, since, until, where };
+        const { total, groups } = await countLogs(db, filters, { groupBy });
+        const page = pageSize > 0
+            ? await fetchLogPage(db, filters, { limit: pageSize, cursor, order })
+            : { logs: [], nextCursor: null };
+
+        res.json({ total, groups, logs: page.logs.map(parseLogRow), nextCursor: page.nextCursor });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error querying logs:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Import user_logs archives ({user_id, task, log_count, logs}) into user_logs
+ *
+ * Reads the server's user_logs/ folder (only ?userId's if given), or the
+ * archives posted as { archives: [...] }. Logs keep their original ids and
+ * timestamps; ones already stored are skipped. The response is a
+ * reconciliation report per archive ({ dryRun: true } only reports).
+ */
+app.post("/api/logs/import", requireResearcher, async (req, res) => {
+    try {
+        const { userId, archives, dryRun = false } = req.body || {};
+        if (archives !== undefined && !Array.isArray(archives)) {
+            return res.status(400).json({ error: "archives should be an array of {user_id, task, log_count, logs} objects" });
+        }
+        if (userId && !participantLogsDir(userId)) {
+            return res.status(400).json({ error: "Invalid userId" });
+        }
+
+        const entries = archives
+            ? archives.map((archive, i) => ({ file: `archives[${i}]`, archive }))
+            : readArchives(path.join(process.cwd(), "user_logs"), { userId });
+        if (entries.length === 0) {
+            return res.status(404).json({ error: "No archives to import" });
+        }
+
+        const report = await withTransaction(db => importArchives(db, entries, { dryRun: Boolean(dryRun) }));
+        res.json({ success: true, ...report });
+    } catch (err) {
+        console.error("Error importing logs:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Report stored events that fail their schema
+ *
+ * Every stored event is checked against the current registry, so events logged
+ * before a schema was added (or tightened) are reported too.
+ */
+app.get("/api/events/invalid", requireResearcher, async (req, res) => {
+    try {
+        const { userId, message } = req.query;
+        const db = await dbPromise;
+
+        let query = `SELECT id, user_id, timestamp, message, event_data FROM user_logs WHERE 1 = 1`;
+        const params = [];
+
+        if (userId) {
+            query += ` AND user_id = ?`;
+            params.push(userId);
+        }
+
+        if (message) {
+            query += ` AND message = ?`;
+            params.push(message);
+        }
+
+        query += ` ORDER BY timestamp ASC`;
+
+        const logs = await db.all(query, params);
+        const invalid = [];
+        const byType = {};
+
+        for (const log of logs) {
+            let eventData;
+            try {
+                eventData = JSON.parse(log.event_data);
+            } catch (e) {
+                eventData = null;
+            }
+
+            const errors = eventData ? validateEvent(eventData) : ["event_data is not valid JSON"];
+            if (errors.length > 0) {
+                byType[log.message] = (byType[log.message] || 0) + 1;
+                invalid.push({
+                    id: log.id,
+                    user_id: log.user_id,
+                    timestamp: log.timestamp,
+                    message: log.message,
+                    errors
+                });
+            }
+        }
+
+        res.json({
+            mode: EVENT_VALIDATION,
+            checked: logs.length,
+            invalidCount: invalid.length,
+            byType,
+            events: invalid
+        });
+    } catch (err) {
+        console.error("Error validating stored events:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Clear old logs (optional maintenance endpoint)
+ */
+app.delete("/clear-old-logs", requireResearcher, async (req, res) => {
+    try {
+        const { daysToKeep = 30 } = req.body || {};
+        const days = Number(daysToKeep);
+        if (!Number.isInteger(days) || days < 1) {
+            return res.status(400).json({ error: "daysToKeep should be a whole number of days (at least 1)" });
+        }
+
+        const result = await withTransaction(async (db) => {
+            const result = await applyRetention(db, { policies: { user_logs: days } });
+            await recordAudit(db, { action: "retention", details: result, performedBy: req.auth.via });
+            return result;
+        });
+
+        res.json({ 
+            success: true, 
+            message: `Deleted ${result.user_logs.deleted} old log entries` 
+        });
+    } catch (err) {
+        console.error("Error clearing logs:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Retention policies
+ *
+ * Each of user_logs, user_images, pinned_artworks and sessions can keep rows
+ * for a number of days; tables without a policy keep everything. Policies are
+ * applied once a day (and on startup), or on demand with POST /api/retention/apply.
+ */
+app.get("/api/retention", requireResearcher, async (req, res) => {
+    try {
+        const db = await dbPromise;
+        res.json({ policies: await getRetentionPolicies(db) });
+    } catch (err) {
+        console.error("Error fetching retention policies:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Set a table's policy: { daysToKeep } (null keeps the table forever)
+app.put("/api/retention/:table", requireResearcher, async (req, res) => {
+    try {
+        const { daysToKeep } = req.body || {};
+        if (daysToKeep === undefined) {
+            return res.status(400).json({ error: "Missing daysToKeep" });
+        }
+
+        await withTransaction(db => setRetentionPolicy(db, req.params.table, daysToKeep));
+        res.json({ success: true, policies: await getRetentionPolicies(await dbPromise) });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error setting retention policy:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Apply every policy now ({ dryRun: true } only counts what would go)
+app.post("/api/retention/apply", requireResearcher, async (req, res) => {
+    try {
+        const dryRun = Boolean(req.body?.dryRun);
+        const result = await withTransaction(async (db) => {
+            const result = await applyRetention(db, { dryRun });
+            if (!dryRun) {
+                await recordAudit(db, { action: "retention", details: result, performedBy: req.auth.via });
+            }
+            return result;
+        });
+        if (!dryRun && (result.user_images?.deleted > 0 || result.board_history?.deleted > 0)) {
+            await withTransaction(removeUnreferencedBlobs);
+        }
+
+        res.json({ success: true, dryRun, tables: result });
+    } catch (err) {
+        console.error("Error applying retention policies:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Forget a participant: delete their logs, images, pins, sessions, write token
+ * and user row, plus their user_logs/<userId> files. The audit record keeps
+ * the participant's pseudonym, row counts and { reason }, never the user id.
+ */
+app.post("/users/:id/forget", requireResearcher, async (req, res) => {
+    try {
+        const { id: userId } = req.params;
+        const { reason = null } = req.body || {};
+        if (!participantLogsDir(userId)) {
+            return res.status(400).json({ error: "Invalid userId" });
+        }
 
-        res.json({ success: true, message: "Event logged" });
+        const { subject, deleted } = await withTransaction(async (db) => ({
+            subject: (await createAnonymizer(db)).pseudonym(userId),
+            deleted: await forgetParticipantRows(db, userId)
+        }));
+        const filesDeleted = removeParticipantFiles(userId);
+
+        const found = await withTransaction(async (db, tx) => {
+            deleted.blobs = await removeUnreferencedBlobs(db, tx);
+            const rowsDeleted = Object.values(deleted).reduce((sum, n) => sum + n, 0);
+            if (rowsDeleted === 0 && filesDeleted === 0) {
+                return false;
+            }
+            await recordAudit(db, {
+                action: "forget",
+                subject,
+                details: { deleted, filesDeleted, reason },
+                performedBy: req.auth.via
+            });
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ error: "No data found for user" });
+        }
+        // Outside the database, so restoring an older snapshot cannot undo it
+        logErasure({ subject, performedBy: req.auth.via, details: { deleted, filesDeleted, reason } });
+
+        res.json({ success: true, subject, deleted, filesDeleted });
     } catch (err) {
-        console.error("Error logging event:", err);
+        console.error(`Error forgetting user ${req.params.id}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Deletion and restore audit trail, newest first (?action=forget|retention|restore)
+app.get("/api/audit", requireResearcher, async (req, res) => {
+    try {
+        const db = await dbPromise;
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        res.json({ audit: await listAudit(db, { action: req.query.action, limit }) });
+    } catch (err) {
+        console.error("Error fetching audit records:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
 /**
- * Get user logs (with optional filtering)
+ * Database snapshots
+ *
+ * Online copies of database.db in backups/ (BACKUP_DIR), each with a .sha256
+ * checksum. One is taken every BACKUP_INTERVAL_HOURS (default 24) and before
+ * DELETE /user/:id; each kind keeps its newest BACKUP_KEEP (default 14).
  */
-app.get("/get-logs/:userId", async (req, res) => {
+
+// List snapshots, newest first (?verify=true recomputes every checksum)
+app.get("/api/backups", requireResearcher, async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { limit = 100, offset = 0, since, until } = req.query;
-        
-        const db = await dbPromise;
-        
-        let query = `SELECT * FROM user_logs WHERE user_id = ?`;
-        const params = [userId];
-        
-        if (since) {
-            query += ` AND timestamp >= ?`;
-            params.push(since);
-        }
-        
-        if (until) {
-            query += ` AND timestamp <= ?`;
-            params.push(until);
-        }
-        
-        query += ` ORDER BY timestamp DESC LIMIT ? OFFSET ?`;
-        params.push(limit, offset);
-        
-        const logs = await db.all(query, params);
-        
-        // Parse the JSON event_data for each log
-        const parsedLogs = logs.map(log => ({
-            ...log,
-            event_data: JSON.parse(log.event_data)
-        }));
-        
-        res.json({ logs: parsedLogs });
+        const snapshots = await listSnapshots({ verify: req.query.verify === "true" });
+        res.json({ directory: BACKUP_DIR, snapshots });
     } catch (err) {
-        console.error("Error fetching logs:", err);
+        console.error("Error listing snapshots:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Take a snapshot now ({ reason } is kept in its name, e.g. "before-import")
+app.post("/api/backups", requireResearcher, async (req, res) => {
+    try {
+        const snapshot = await withExclusiveAccess(db => createSnapshot(db, { reason: req.body?.reason }));
+        res.status(201).json({ success: true, snapshot });
+    } catch (err) {
+        console.error("Error taking snapshot:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
 /**
- * Clear old logs (optional maintenance endpoint)
+ * Restore a snapshot into the running database
+ *
+ * The body must repeat the name as { confirm: "<name>" }. The snapshot's
+ * checksum and integrity are checked first, the current database is saved as
+ * a "before-restore" snapshot, and pending migrations are applied afterwards.
+ * Participants in the erasure log (forgotten since the snapshot) are forgotten
+ * again. Image files deleted since cannot come back: blobs whose file is gone
+ * are listed as missingBlobs. Requests wait in the transaction queue until
+ * the restore is done.
  */
-// app.delete("/clear-old-logs", async (req, res) => {
-//     try {
-//         const { daysToKeep = 30 } = req.body;
-//         const db = await dbPromise;
-        
-//         const cutoffDate = new Date();
-//         cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-        
-//         const result = await db.run(
-//             `DELETE FROM user_logs WHERE timestamp < ?`,
-//             [cutoffDate.toISOString()]
-//         );
-        
-//         res.json({ 
-//             success: true, 
-//             message: `Deleted ${result.changes} old log entries` 
-//         });
-//     } catch (err) {
-//         console.error("Error clearing logs:", err);
-//         res.status(500).json({ error: err.message });
-//     }
-// });
+app.post("/api/backups/:name/restore", requireResearcher, async (req, res) => {
+    try {
+        const { name } = req.params;
+        const file = snapshotPath(name);
+        if (!file) {
+            return res.status(404).json({ error: "Snapshot not found" });
+        }
+        if (req.body?.confirm !== name) {
+            return res.status(400).json({ error: "Repeat the snapshot name as { \"confirm\": \"<name>\" } to restore it" });
+        }
+
+        const problems = await checkSnapshot(file);
+        if (problems.length > 0) {
+            return res.status(422).json({ error: `Snapshot failed its checks: ${problems.join("; ")}` });
+        }
+
+        const { saved, forgottenAgain, missingBlobs } = await withExclusiveAccess(async (db) => {
+            const secret = await hashSecret(db);
+            const saved = await createSnapshot(db, { reason: "before-restore" });
+            await restoreSnapshot(db, file);
+            await migrate(db);
+
+            return inTransaction(db, async (db, tx) => {
+                const forgottenAgain = await reapplyErasures(db, { secret });
+                if (forgottenAgain.length > 0) {
+                    await removeUnreferencedBlobs(db, tx);
+                }
+                const missingBlobs = await missingBlobFiles(db);
+                await recordAudit(db, {
+                    action: "restore",
+                    details: { restored: name, saved: saved.name, forgottenAgain, missingBlobs: missingBlobs.length },
+                    performedBy: req.auth.via
+                });
+                return { saved, forgottenAgain, missingBlobs };
+            });
+        });
+        if (missingBlobs.length > 0) {
+            console.warn(`Restored ${name}: ${missingBlobs.length} image blob file(s) are missing from ${BLOB_DIR}`);
+        }
+
+        res.json({
+            success: true,
+            restored: name,
+            previousState: saved.name,
+            forgottenAgain: forgottenAgain.map(entry => entry.subject),
+            missingBlobs,
+            ...(missingBlobs.length > 0 && {
+                warning: `${missingBlobs.length} image file(s) the restored rows refer to were deleted since the snapshot and cannot be restored`
+            })
+        });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(`Error restoring snapshot ${req.params.name}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
 // === add new endpoints here ==== // 
 
@@ -422,7 +1876,7 @@ app.get("/get-logs/:userId", async (req, res) => {
  */
 
 // Get all participants (directories in user_logs)
-app.get("/api/logs/participants", (req, res) => {
+app.get("/api/logs/participants", requireResearcher, (req, res) => {
     try {
         const userLogsPath = path.join(process.cwd(), 'user_logs');
         
@@ -446,7 +1900,7 @@ app.get("/api/logs/participants", (req, res) => {
 });
 
 // Get all log files for a participant
-app.get("/api/logs/files/:participant", (req, res) => {
+app.get("/api/logs/files/:participant", requireResearcher, (req, res) => {
     try {
         const participant = req.params.participant;
         const participantPath = path.join(process.cwd(), 'user_logs', participant);
@@ -469,7 +1923,7 @@ app.get("/api/logs/files/:participant", (req, res) => {
 });
 
 // Get content of a log file
-app.get("/api/logs/content", (req, res) => {
+app.get("/api/logs/content", requireResearcher, (req, res) => {
     try {
         const filePath = req.query.file;
         
@@ -502,9 +1956,445 @@ app.get("/api/logs/content", (req, res) => {
     }
 });
 
+/**
+ * Export logs as per-task files in the user_logs/ format
+ *
+ * /api/export/:userId returns a zip of every {userId}_system{X}_task{N}.json
+ * file, or just one file with ?task=systemA_task2; /api/export zips every
+ * user. Add ?pretty=1 for indented output.
+ *
+ * ?anonymize=1 swaps user ids for stable pseudonyms (folders, file names and
+ * user_id fields), drops the fields listed in ?remove= and hashes those in
+ * ?hash= (defaults in privacy.js), and adds each user's images with hashed
+ * titles as user_images.json.
+ */
+
+// Per-task files for one user: [{ name, data }]
+async function exportFiles(db, userId, { pretty, anonymizer }) {
+    const taskLogs = organizeLogsByTask(await getUserLogs(db, userId));
+    const exportId = anonymizer ? anonymizer.pseudonym(userId) : userId;
+
+    const files = Object.keys(taskLogs).sort().map(taskKey => {
+        const logs = anonymizer
+            ? taskLogs[taskKey].map(log => ({ ...log, event_data: anonymizer.eventData(log.message, log.event_data, userId) }))
+            : taskLogs[taskKey];
+        return {
+            task: taskKey,
+            name: `${exportId}/${taskFileName(exportId, taskKey)}`,
+            data: toPythonJson(taskFile(exportId, taskKey, logs), pretty)
+        };
+    });
+
+    if (anonymizer && files.length > 0) {
+        const images = await db.all(`SELECT * FROM user_images WHERE user_id = ? ORDER BY dateAdded`, [userId]);
+        files.push({ name: `${exportId}/user_images.json`, data: JSON.stringify(images.map(anonymizer.userImage), null, pretty ? 2 : 0) });
+    }
+    return files;
+}
+
+async function exportOptions(db, { pretty, anonymize, remove, hash }) {
+    return {
+        pretty: Boolean(pretty),
+        anonymizer: anonymize ? await createAnonymizer(db, { remove, hash }) : null
+    };
+}
+
+app.get("/api/export/:userId", requireResearcher, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { task } = req.query;
+        const db = await dbPromise;
+        const options = await exportOptions(db, req.query);
+
+        const files = await exportFiles(db, userId, options);
+        if (files.length === 0) {
+            return res.status(404).json({ error: "No logs found for user" });
+        }
+        const exportId = options.anonymizer ? options.anonymizer.pseudonym(userId) : userId;
+
+        if (task) {
+            const file = files.find(f => f.task === task);
+            if (!file) {
+                return res.status(404).json({ error: "Task not found", tasks: files.filter(f => f.task).map(f => f.task) });
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.setHeader("Content-Disposition", `attachment; filename="${taskFileName(exportId, task)}"`);
+            return res.send(file.data);
+        }
+
+        const zip = createZip(files);
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader("Content-Disposition", `attachment; filename="${exportId}_logs.zip"`);
+        res.send(zip);
+    } catch (err) {
+        console.error(`Error exporting logs for user ${req.params.userId}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get("/api/export", requireResearcher, async (req, res) => {
+    try {
+        const db = await dbPromise;
+        const options = await exportOptions(db, req.query);
+
+        const users = await db.all(`SELECT DISTINCT user_id FROM user_logs ORDER BY user_id`);
+        const files = [];
+        for (const { user_id } of users) {
+            files.push(...await exportFiles(db, user_id, options));
+        }
+
+        const zip = createZip(files);
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader("Content-Disposition", `attachment; filename="${options.anonymizer ? "anonymized_" : ""}logs.zip"`);
+        res.send(zip);
+    } catch (err) {
+        console.error("Error exporting logs:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Per-session behavioral metrics (one row per participant/system/task)
+ *
+ * ?source=db (default) computes from user_logs, ?source=files from the
+ * user_logs/ JSON archives. Filter with userId, system, taskNumber, condition;
+ * ?format=csv returns a flat table ready for statistics.
+ */
+app.get("/api/metrics", requireResearcher, async (req, res) => {
+    try {
+        const { source = "db", userId, system, taskNumber, condition, format = "json" } = req.query;
+        if (!["db", "files"].includes(source)) {
+            return res.status(400).json({ error: `source should be "db" or "files"` });
+        }
+
+        const db = await dbPromise;
+        const sessions = filterTaskLogs(await loadTaskLogs({ db, source, userId }), { system, taskNumber, condition });
+        const metrics = sessions.map(computeSessionMetrics);
+
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv");
+            res.setHeader("Content-Disposition", `attachment; filename="metrics.csv"`);
+            return res.send(metricsToCsv(metrics));
+        }
+
+        res.json({ source, count: metrics.length, metrics });
+    } catch (err) {
+        console.error("Error computing metrics:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Between-condition comparison of session metrics
+ *
+ * Descriptives per system x condition plus paired (Wilcoxon signed-rank,
+ * paired t) and unpaired (Mann-Whitney U, Welch t) tests for system A vs B and
+ * condition P vs C. Only P/C sessions are tested; FREE sessions get their own
+ * descriptives. Takes the /api/metrics filters; ?format=json|csv|html.
+ */
+app.get("/api/reports/comparison", requireResearcher, async (req, res) => {
+    try {
+        const { source = "db", userId, system, taskNumber, condition, format = "json" } = req.query;
+        if (!["db", "files"].includes(source)) {
+            return res.status(400).json({ error: `source should be "db" or "files"` });
+        }
+        if (!["json", "csv", "html"].includes(format)) {
+            return res.status(400).json({ error: `format should be "json", "csv" or "html"` });
+        }
+
+        const db = await dbPromise;
+        const sessions = filterTaskLogs(await loadTaskLogs({ db, source, userId }), { system, taskNumber, condition });
+        const report = buildComparisonReport(sessions.map(computeSessionMetrics));
+
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv");
+            res.setHeader("Content-Disposition", `attachment; filename="comparison.csv"`);
+            return res.send(comparisonReportToCsv(report));
+        }
+        if (format === "html") {
+            return res.type("html").send(comparisonReportToHtml(report));
+        }
+
+        res.json({ source, ...report });
+    } catch (err) {
+        console.error("Error building comparison report:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Full-text search over artwork titles, artists, descriptions and keywords and
+ * over participants' prompts (?q=&kind=artwork|image&userId=&taskNumber=&limit=&offset=).
+ * syntax=fts passes q through as an FTS5 query.
+ */
+app.get("/api/search", requireResearcher, async (req, res) => {
+    try {
+        const { q, kind, userId, taskNumber, syntax } = req.query;
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+            return res.status(400).json({ error: `limit should be a whole number from 1 to ${MAX_SEARCH_LIMIT}` });
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: "offset should be a whole number (0 or more)" });
+        }
+        if (taskNumber !== undefined && !/^\d+$/.test(taskNumber)) {
+            return res.status(400).json({ error: "taskNumber should be a whole number" });
+        }
+
+        const db = await dbPromise;
+        const { total, results } = await search(db, {
+            q,
+            raw: syntax === "fts",
+            kind,
+            userId,
+            taskNumber: taskNumber === undefined ? undefined : Number(taskNumber),
+            limit,
+            offset
+        });
+
+        res.json({
+            q,
+            total,
+            results: results.map(result => result.kind === "image" ? { ...result, imageUrl: imageUrlFor(req, result.imageUrl) } : result)
+        });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error searching:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Artworks ranked by pins, modal opens, camera focuses and clicks across
+ * participants, with the modal -> pin conversion rate. Takes the /api/metrics
+ * filters plus groupBy (system, condition, task), sortBy, limit and
+ * format=json|csv.
+ */
+app.get("/api/rankings", requireResearcher, async (req, res) => {
+    try {
+        const { source = "db", userId, system, taskNumber, condition, groupBy = "", sortBy = "pins", format = "json" } = req.query;
+        if (!["db", "files"].includes(source)) {
+            return res.status(400).json({ error: `source should be "db" or "files"` });
+        }
+        if (!["json", "csv"].includes(format)) {
+            return res.status(400).json({ error: `format should be "json" or "csv"` });
+        }
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+            return res.status(400).json({ error: "limit should be a whole number from 1 to 10000" });
+        }
+
+        const db = await dbPromise;
+        const sessions = filterTaskLogs(await loadTaskLogs({ db, source, userId }), { system, taskNumber, condition });
+        const artworks = new Map((await db.all(`SELECT entryId, title, artist, thumbnail_url FROM artworks`)).map(row => [row.entryId, row]));
+        // Current pins only exist in the database
+        const pinnedRows = source === "db" ? await loadPinnedRows(db, { userId, system, taskNumber, condition }) : [];
+        const groups = artworkRankings(sessions, { groupBy, sortBy, limit, artworks, pinnedRows });
+
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv");
+            res.setHeader("Content-Disposition", `attachment; filename="artwork_rankings.csv"`);
+            return res.send(rankingsToCsv(groups));
+        }
+
+        res.json({ source, groupBy, sortBy, groups });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error building artwork rankings:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Spatial exploration endpoints
+ *
+ * All take the same filters as /api/metrics (source, userId, system,
+ * taskNumber, condition). Heatmaps also take groupBy (participant, system,
+ * condition, task, comma-separated; empty pools everything) and grid (cells per
+ * side, default 20).
+ */
+
+// Shared query handling for the heatmap routes
+async function loadHeatmapGroups(query) {
+    const { source = "db", userId, system, taskNumber, condition, groupBy = "participant", grid = 20 } = query;
+    const size = Number(grid);
+    if (!Number.isInteger(size) || size < 1 || size > 200) {
+        throw new RangeError("grid should be a whole number between 1 and 200");
+    }
+
+    const db = await dbPromise;
+    const sessions = filterTaskLogs(await loadTaskLogs({ db, source, userId }), { system, taskNumber, condition });
+    return heatmapGroups(sessions, { groupBy, size });
+}
+
+// Density matrices of camera positions and pinned world coordinates
+app.get("/api/heatmaps", requireResearcher, async (req, res) => {
+    try {
+        const groups = await loadHeatmapGroups(req.query);
+        res.json({ groupBy: req.query.groupBy ?? "participant", groups });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error building heatmaps:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The same heatmaps rendered as SVG panels (?layer=camera|pins)
+app.get("/api/heatmaps/svg", requireResearcher, async (req, res) => {
+    try {
+        const { layer = "camera" } = req.query;
+        if (!["camera", "pins"].includes(layer)) {
+            return res.status(400).json({ error: `layer should be "camera" or "pins"` });
+        }
+
+        const groups = await loadHeatmapGroups(req.query);
+        const svg = renderHeatmapSvg(groups.map(g => ({ label: g.label, density: g[layer] })));
+
+        res.setHeader("Content-Type", "image/svg+xml");
+        res.send(svg);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Error rendering heatmap:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Each participant's ordered camera trajectory and pins, per task
+app.get("/api/trajectories", requireResearcher, async (req, res) => {
+    try {
+        const { source = "db", userId, system, taskNumber, condition } = req.query;
+        const db = await dbPromise;
+        const sessions = filterTaskLogs(await loadTaskLogs({ db, source, userId }), { system, taskNumber, condition });
+
+        res.json({
+            trajectories: sessions.map(({ logs, ...session }) => ({
+                ...session,
+                points: cameraTrajectory(logs),
+                pins: pinnedPoints(logs)
+            }))
+        });
+    } catch (err) {
+        console.error("Error building trajectories:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Generated images come back with blob-store URLs expanded (see imageUrlFor)
+function spatialItemsFor(req, items) {
+    return items.map(item => item.kind === "image" ? { ...item, imageUrl: imageUrlFor(req, item.imageUrl) } : item);
+}
+
+function sendSpatialError(res, err) {
+    if (err instanceof RangeError) {
+        return res.status(400).json({ error: err.message });
+    }
+    console.error("Error running spatial query:", err);
+    res.status(500).json({ error: err.message });
+}
+
+/**
+ * Pins and generated images inside a bounding box
+ * (?minX=&minY=&maxX=&maxY=&kind=pin|image&userId=&regionId=&limit=)
+ */
+app.get("/api/spatial/items", requireResearcher, async (req, res) => {
+    try {
+        const box = parseBox(req.query);
+        const filters = parseSpatialFilters(req.query);
+        const limit = parseLimit(req.query);
+        const db = await dbPromise;
+        const { items, truncated } = await itemsInBox(db, box, filters, { limit });
+
+        res.json({ box, count: items.length, truncated, items: spatialItemsFor(req, items) });
+    } catch (err) {
+        sendSpatialError(res, err);
+    }
+});
+
+/**
+ * The k pins/images nearest to a point, closest first (?x=&y=&k=&maxDistance=&kind=&userId=&regionId=)
+ */
+app.get("/api/spatial/nearest", requireResearcher, async (req, res) => {
+    try {
+        const point = parsePoint(req.query);
+        const filters = parseSpatialFilters(req.query);
+        const k = parseLimit(req.query, "k", 10);
+        const db = await dbPromise;
+        const items = await nearestItems(db, point, filters, { k });
+
+        res.json({ x: point.x, y: point.y, k, items: spatialItemsFor(req, items) });
+    } catch (err) {
+        sendSpatialError(res, err);
+    }
+});
+
+/**
+ * Per-regionId counts across all participants, with the items nearest each
+ * region's centroid as representatives (?kind=&userId=&regionId=&representatives=3)
+ */
+app.get("/api/spatial/regions", requireResearcher, async (req, res) => {
+    try {
+        const filters = parseSpatialFilters(req.query);
+        const representatives = parseLimit(req.query, "representatives", 3, 0);
+        const db = await dbPromise;
+        const regions = await regionSummaries(db, filters, { representatives });
+
+        res.json({
+            regions: regions.map(region => ({ ...region, representatives: spatialItemsFor(req, region.representatives) }))
+        });
+    } catch (err) {
+        sendSpatialError(res, err);
+    }
+});
+
+/**
+ * Graph of participants, generated images and artworks with generated /
+ * anchored_to / clicked / pinned edges (?userId=&sessionId=&format=json|graphml)
+ */
+app.get("/api/provenance", requireResearcher, async (req, res) => {
+    try {
+        const { userId, sessionId, format = "json" } = req.query;
+        if (!["json", "graphml"].includes(format)) {
+            return res.status(400).json({ error: `format should be "json" or "graphml"` });
+        }
+        if (sessionId !== undefined && !/^\d+$/.test(sessionId)) {
+            return res.status(400).json({ error: "sessionId should be a session id number" });
+        }
+
+        const db = await dbPromise;
+        const graph = await buildProvenanceGraph(db, { userId, sessionId: sessionId === undefined ? undefined : Number(sessionId) });
+
+        if (format === "graphml") {
+            const name = sessionId ? `provenance_session_${sessionId}` : userId ? `provenance_${userId}` : "provenance";
+            res.setHeader("Content-Type", "application/graphml+xml");
+            res.setHeader("Content-Disposition", `attachment; filename="${name.replace(/[^\w.-]/g, "_")}.graphml"`);
+            return res.send(provenanceGraphToGraphml(graph));
+        }
+
+        res.json(graph);
+    } catch (err) {
+        console.error("Error building provenance graph:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Print some DB stats on startup
 (async () => {
-    const db = await dbPromise;
+    let db;
+    try {
+        db = await dbPromise;
+    } catch (err) {
+        console.error("Database migration failed, not starting server:", err.message);
+        process.exit(1);
+    }
 
     const userCountRow = await db.get("SELECT COUNT(*) as count FROM users");
     const userImagesCountRow = await db.get("SELECT COUNT(*) as count FROM user_images");
@@ -516,6 +2406,57 @@ app.get("/api/logs/content", (req, res) => {
     console.log(`Pinned artworks count: ${pinnedArtworksCountRow.count}`);
     console.log("======================");
 
+    // Apply retention policies now and once a day
+    const runRetention = async () => {
+        try {
+            const result = await withTransaction(async (db) => {
+                const result = await applyRetention(db);
+                if (Object.values(result).some(t => t.deleted > 0)) {
+                    await recordAudit(db, { action: "retention", details: result, performedBy: "scheduler" });
+                }
+                return result;
+            });
+            if ((result.user_images?.deleted > 0 || result.board_history?.deleted > 0)) {
+                await withTransaction(removeUnreferencedBlobs);
+            }
+            for (const [table, { deleted }] of Object.entries(result)) {
+                if (deleted > 0) console.log(`Retention: deleted ${deleted} rows from ${table}`);
+            }
+        } catch (err) {
+            console.error("Error applying retention policies:", err);
+        }
+    };
+    await runRetention();
+    setInterval(runRetention, 24 * 60 * 60 * 1000).unref();
+
+    // Snapshot the database every BACKUP_INTERVAL_HOURS (0 turns this off),
+    // starting now if the last scheduled one is older than that
+    const backupIntervalMs = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) * 60 * 60 * 1000;
+    const runBackup = async () => {
+        try {
+            const snapshot = await withExclusiveAccess(db => createSnapshot(db, { reason: "scheduled" }));
+            console.log(`Backup: wrote ${snapshot.name} (${snapshot.size} bytes)`);
+        } catch (err) {
+            console.error("Error taking scheduled snapshot:", err);
+        }
+    };
+    if (backupIntervalMs > 0) {
+        const [last] = (await listSnapshots()).filter(s => s.reason === "scheduled");
+        if (!last || Date.now() - Date.parse(last.createdAt) >= backupIntervalMs) {
+            await runBackup();
+        }
+        setInterval(runBackup, backupIntervalMs).unref();
+    }
+
+    if (AUTH_DISABLED) {
+        console.warn("AUTH=off: authentication is disabled, every caller is treated as a researcher");
+    } else if (!RESEARCHER_AUTH_CONFIGURED) {
+        console.warn("No RESEARCHER_API_KEYS or RESEARCHER_PASSWORD set: researcher routes and dashboards are unreachable");
+    }
+    if (CORS_ORIGINS.length === 0) {
+        console.warn("No CORS_ORIGINS set: any origin may call the API; list the front end's origin to restrict it");
+    }
+
     app.listen(port, () => {
         console.log(`Server listening on port ${port}`);
         console.log(`API available at http://localhost:${port} OR https://snailbunny.site/artographer-data/`);
@@ -0,0 +1,222 @@
+// spatial.js -- bounding box, nearest-neighbour and per-region queries over
+// pins and generated images
+//
+// Every pinned_artworks / user_images row with a numeric worldCoords [x, y] is
+// a point in spatial_rtree, with its exact coordinates in spatial_items (the
+// R*Tree stores 32-bit floats, so it is only used to narrow the search).
+// Triggers from migration 13 keep both tables up to date.
+
+export const SPATIAL_KINDS = ["pin", "image"];
+export const MAX_SPATIAL_LIMIT = 10000;
+
+const ITEM_QUERY = `
+  SELECT s.kind, s.user_id, s.item_id, s.x, s.y, s.region_id,
+    COALESCE(a.title, i.title) AS title, a.thumbnail_url, i.imageUrl, i.confidence,
+    p.isRepresentative, p.taskNumber,
+    COALESCE(p.session_id, i.session_id) AS session_id,
+    COALESCE(p.pinnedAt, i.dateAdded) AS addedAt
+  FROM spatial_items s
+  LEFT JOIN pinned_artworks p ON s.kind = 'pin' AND p.user_id = s.user_id AND p.entryId = s.item_id
+  LEFT JOIN artworks a ON a.entryId = p.entryId
+  LEFT JOIN user_images i ON s.kind = 'image' AND i.userimage_id = s.item_id
+`;
+
+function toItem(row) {
+  const item = {
+    kind: row.kind,
+    userId: row.user_id,
+    id: row.item_id,
+    x: row.x,
+    y: row.y,
+    regionId: row.region_id,
+    title: row.title,
+    sessionId: row.session_id,
+    addedAt: row.addedAt,
+  };
+  if (row.kind === "pin") {
+    Object.assign(item, { thumbnailUrl: row.thumbnail_url, isRepresentative: Boolean(row.isRepresentative), taskNumber: row.taskNumber });
+  } else {
+    Object.assign(item, { imageUrl: row.imageUrl, confidence: row.confidence });
+  }
+  return item;
+}
+
+function parseNumber(query, name, { required = true, min = -Infinity, max = Infinity, integer = false } = {}) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") {
+    if (required) throw new RangeError(`${name} is required`);
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new RangeError(`${name} should be ${integer ? "a whole number" : "a number"}${
+      Number.isFinite(min) ? ` from ${min}` : ""}${Number.isFinite(max) ? ` to ${max}` : ""}`);
+  }
+  return value;
+}
+
+/**
+ * { kind, userId, regionId } from a query string; kind is "pin", "image" or
+ * absent for both
+ */
+export function parseSpatialFilters(query) {
+  const { kind, userId, regionId } = query;
+  if (kind !== undefined && !SPATIAL_KINDS.includes(kind)) {
+    throw new RangeError(`kind should be one of ${SPATIAL_KINDS.join(", ")}`);
+  }
+  return { kind, userId, regionId };
+}
+
+/**
+ * minX/minY/maxX/maxY from a query string
+ */
+export function parseBox(query) {
+  const box = {};
+  for (const name of ["minX", "minY", "maxX", "maxY"]) {
+    box[name] = parseNumber(query, name);
+  }
+  if (box.minX > box.maxX || box.minY > box.maxY) {
+    throw new RangeError("minX/minY should not be greater than maxX/maxY");
+  }
+  return box;
+}
+
+export function parseLimit(query, name = "limit", fallback = 1000, min = 1) {
+  return parseNumber(query, name, { required: false, min, max: MAX_SPATIAL_LIMIT, integer: true }) ?? fallback;
+}
+
+export function parsePoint(query) {
+  return {
+    x: parseNumber(query, "x"),
+    y: parseNumber(query, "y"),
+    maxDistance: parseNumber(query, "maxDistance", { required: false, min: 0 }),
+  };
+}
+
+function filterClauses({ kind, userId, regionId } = {}) {
+  const where = [];
+  const params = [];
+  if (kind) { where.push("s.kind = ?"); params.push(kind); }
+  if (userId) { where.push("s.user_id = ?"); params.push(userId); }
+  if (regionId !== undefined) { where.push("s.region_id = ?"); params.push(regionId); }
+  return { where, params };
+}
+
+// Rows whose exact coordinates fall inside `box`, using the R*Tree to find candidates
+async function boxRows(db, box, filters, limit) {
+  const { where, params } = filterClauses(filters);
+  return db.all(
+    `${ITEM_QUERY}
+     WHERE s.id IN (SELECT id FROM spatial_rtree WHERE minX <= ? AND maxX >= ? AND minY <= ? AND maxY >= ?)
+       AND s.x BETWEEN ? AND ? AND s.y BETWEEN ? AND ?
+       ${where.map(clause => `AND ${clause}`).join(" ")}
+     ORDER BY s.id
+     ${limit ? "LIMIT ?" : ""}`,
+    [
+      box.maxX, box.minX, box.maxY, box.minY,
+      box.minX, box.maxX, box.minY, box.maxY,
+      ...params,
+      ...(limit ? [limit] : []),
+    ]
+  );
+}
+
+/**
+ * Pins and images inside a bounding box: { items, truncated }
+ */
+export async function itemsInBox(db, box, filters = {}, { limit = 1000 } = {}) {
+  const rows = await boxRows(db, box, filters, limit + 1);
+  return { items: rows.slice(0, limit).map(toItem), truncated: rows.length > limit };
+}
+
+/**
+ * The k items nearest to (x, y), closest first, each with its distance.
+ * Searches a square around the point, doubling it until it holds k items
+ * within its inscribed circle (or covers every item).
+ */
+export async function nearestItems(db, { x, y, maxDistance = Infinity }, filters = {}, { k = 10 } = {}) {
+  const extent = await db.get(
+    `SELECT COUNT(*) as count, MIN(minX) as minX, MAX(maxX) as maxX, MIN(minY) as minY, MAX(maxY) as maxY FROM spatial_rtree`
+  );
+  if (extent.count === 0) {
+    return [];
+  }
+
+  // No item is further away than the far corner of the bounding box of all items
+  const reach = Math.hypot(Math.max(x - extent.minX, extent.maxX - x), Math.max(y - extent.minY, extent.maxY - y));
+  const limit = Math.min(maxDistance, reach);
+  // Start at the radius that would hold about k items if they were spread evenly
+  let radius = Math.min(limit, reach * Math.sqrt(k / extent.count));
+
+  for (;;) {
+    const box = { minX: x - radius, maxX: x + radius, minY: y - radius, maxY: y + radius };
+    const found = (await boxRows(db, box, filters))
+      .map(row => ({ ...toItem(row), distance: Math.hypot(row.x - x, row.y - y) }))
+      .filter(item => item.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (found.length >= k || radius >= limit) {
+      return found.slice(0, k);
+    }
+    radius = Math.min(limit, radius > 0 ? radius * 2 : reach / 64);
+  }
+}
+
+/**
+ * Per-regionId totals across participants: item, pin, image and participant
+ * counts, centroid and bounds, plus the `representatives` items nearest the
+ * centroid. Items without a regionId are left out.
+ */
+export async function regionSummaries(db, filters = {}, { representatives = 3 } = {}) {
+  const { where, params } = filterClauses(filters);
+  const conditions = ["s.region_id IS NOT NULL", ...where].join(" AND ");
+
+  const regions = await db.all(
+    `SELECT s.region_id, COUNT(*) as count,
+       SUM(s.kind = 'pin') as pinCount, SUM(s.kind = 'image') as imageCount,
+       COUNT(DISTINCT s.user_id) as userCount,
+       AVG(s.x) as centerX, AVG(s.y) as centerY,
+       MIN(s.x) as minX, MIN(s.y) as minY, MAX(s.x) as maxX, MAX(s.y) as maxY
+     FROM spatial_items s
+     WHERE ${conditions}
+     GROUP BY s.region_id
+     ORDER BY count DESC, s.region_id`,
+    params
+  );
+
+  const byRegion = new Map(regions.map(region => [region.region_id, []]));
+  if (representatives > 0 && regions.length > 0) {
+    const rows = await db.all(
+      `WITH centers AS (
+         SELECT region_id, AVG(x) as cx, AVG(y) as cy FROM spatial_items s
+         WHERE ${conditions} GROUP BY region_id
+       ),
+       ranked AS (
+         SELECT s.id, ROW_NUMBER() OVER (
+           PARTITION BY s.region_id ORDER BY (s.x - c.cx) * (s.x - c.cx) + (s.y - c.cy) * (s.y - c.cy), s.id
+         ) as rank
+         FROM spatial_items s JOIN centers c ON c.region_id = s.region_id
+         WHERE ${conditions}
+       )
+       ${ITEM_QUERY}
+       JOIN ranked r ON r.id = s.id
+       WHERE r.rank <= ?
+       ORDER BY s.region_id, r.rank`,
+      [...params, ...params, representatives]
+    );
+    for (const row of rows) {
+      byRegion.get(row.region_id).push(toItem(row));
+    }
+  }
+
+  return regions.map(region => ({
+    regionId: region.region_id,
+    count: region.count,
+    pinCount: region.pinCount,
+    imageCount: region.imageCount,
+    userCount: region.userCount,
+    center: { x: region.centerX, y: region.centerY },
+    bounds: { minX: region.minX, minY: region.minY, maxX: region.maxX, maxY: region.maxY },
+    representatives: byRegion.get(region.region_id),
+  }));
+}
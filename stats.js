@@ -0,0 +1,194 @@
+// stats.js -- descriptive statistics and two-sample tests
+//
+// Rank tests use the normal approximation with tie and continuity corrections,
+// which is what most packages report once n is above ~10. p-values are
+// two-sided. Functions return null when there is too little data to test.
+
+export function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Sample standard deviation (n - 1)
+export function sd(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+export function quantile(values, q) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function describe(values) {
+  return {
+    n: values.length,
+    mean: mean(values),
+    sd: sd(values),
+    median: quantile(values, 0.5),
+    q1: quantile(values, 0.25),
+    q3: quantile(values, 0.75),
+    min: values.length ? Math.min(...values) : null,
+    max: values.length ? Math.max(...values) : null,
+  };
+}
+
+// Abramowitz & Stegun 7.1.26 (absolute error < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+export function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+function twoSidedNormalP(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+// Lanczos approximation of ln(Gamma(x))
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) {
+    ser += coef / ++y;
+  }
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+function twoSidedTP(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Average ranks (1-based) plus the tie correction term sum(t^3 - t)
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let tieTerm = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = avg;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    i = j + 1;
+  }
+  return { ranks, tieTerm };
+}
+
+/**
+ * Paired t-test on a[i] - b[i]; effect size is Cohen's dz
+ */
+export function pairedTTest(a, b) {
+  const diffs = a.map((v, i) => v - b[i]);
+  const n = diffs.length;
+  const sdDiff = sd(diffs);
+  if (n < 2 || !sdDiff) return null;
+  const meanDiff = mean(diffs);
+  const t = meanDiff / (sdDiff / Math.sqrt(n));
+  return { n, meanDiff, t, df: n - 1, p: twoSidedTP(t, n - 1), cohensDz: meanDiff / sdDiff };
+}
+
+/**
+ * Welch's unequal-variance t-test; effect size is Cohen's d (pooled sd)
+ */
+export function welchTTest(a, b) {
+  const [n1, n2] = [a.length, b.length];
+  if (n1 < 2 || n2 < 2) return null;
+  const [m1, m2] = [mean(a), mean(b)];
+  const [v1, v2] = [sd(a) ** 2, sd(b) ** 2];
+  const se2 = v1 / n1 + v2 / n2;
+  if (se2 === 0) return null;
+  const t = (m1 - m2) / Math.sqrt(se2);
+  const df = se2 ** 2 / ((v1 / n1) ** 2 / (n1 - 1) + (v2 / n2) ** 2 / (n2 - 1));
+  const pooled = Math.sqrt(((n1 - 1) * v1 + (n2 - 1) * v2) / (n1 + n2 - 2));
+  return { n1, n2, meanDiff: m1 - m2, t, df, p: twoSidedTP(t, df), cohensD: pooled ? (m1 - m2) / pooled : null };
+}
+
+/**
+ * Wilcoxon signed-rank test on a[i] - b[i] (zero differences dropped);
+ * effect size is the matched-pairs rank-biserial correlation
+ */
+export function wilcoxonSignedRank(a, b) {
+  const diffs = a.map((v, i) => v - b[i]).filter(d => d !== 0);
+  const n = diffs.length;
+  if (n < 2) return null;
+  const { ranks, tieTerm } = rank(diffs.map(Math.abs));
+  const wPlus = ranks.reduce((sum, r, i) => sum + (diffs[i] > 0 ? r : 0), 0);
+  const total = (n * (n + 1)) / 2;
+  const expected = total / 2;
+  const variance = (n * (n + 1) * (2 * n + 1)) / 24 - tieTerm / 48;
+  if (variance <= 0) return null;
+  const z = (wPlus - expected - Math.sign(wPlus - expected) * 0.5) / Math.sqrt(variance);
+  return { n, wPlus, wMinus: total - wPlus, z, p: twoSidedNormalP(z), rankBiserial: (2 * wPlus - total) / total };
+}
+
+/**
+ * Mann-Whitney U test (U reported for sample a); effect size is the
+ * rank-biserial correlation, positive when a tends to be larger
+ */
+export function mannWhitneyU(a, b) {
+  const [n1, n2] = [a.length, b.length];
+  if (n1 === 0 || n2 === 0) return null;
+  const N = n1 + n2;
+  const { ranks, tieTerm } = rank([...a, ...b]);
+  const r1 = ranks.slice(0, n1).reduce((sum, r) => sum + r, 0);
+  const u = r1 - (n1 * (n1 + 1)) / 2;
+  const expected = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * (N + 1 - tieTerm / (N * (N - 1)));
+  if (variance <= 0) return null;
+  const z = (u - expected - Math.sign(u - expected) * 0.5) / Math.sqrt(variance);
+  return { n1, n2, u, z, p: twoSidedNormalP(z), rankBiserial: (2 * u) / (n1 * n2) - 1 };
+}
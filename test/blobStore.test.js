@@ -0,0 +1,28 @@
+// blobStore.test.js -- content-addressed image storage
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { open } from "sqlite";
+import sqlite3 from "sqlite3";
+import { migrate } from "../migrations.js";
+
+process.env.BLOB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "blobs-"));
+const { blobPath, storeBlob, removeUnreferencedBlobs } = await import("../blobStore.js");
+after(() => fs.rmSync(process.env.BLOB_DIR, { recursive: true, force: true }));
+
+test("unreferenced blob files are only deleted after the transaction commits", async () => {
+  const db = await open({ filename: ":memory:", driver: sqlite3.Database });
+  await migrate(db);
+  const hash = await storeBlob(db, Buffer.from("not a real png"), "image/png");
+
+  const hooks = [];
+  assert.equal(await removeUnreferencedBlobs(db, { afterCommit: hook => hooks.push(hook) }), 1);
+  assert.ok(fs.existsSync(blobPath(hash)), "the file should survive until the commit");
+
+  for (const hook of hooks) await hook();
+  assert.ok(!fs.existsSync(blobPath(hash)));
+  await db.close();
+});
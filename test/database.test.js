@@ -0,0 +1,38 @@
+// database.test.js -- the transaction queue and the read connection
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+
+// database.js opens ./database.db on import
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "database-test-"));
+process.chdir(dir);
+const { default: dbPromise, withTransaction } = await import("../database.js");
+
+after(async () => {
+  await (await dbPromise).close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const countUsers = async userId =>
+  (await (await dbPromise).get(`SELECT COUNT(*) AS count FROM users WHERE user_id = ?`, [userId])).count;
+
+test("reads do not see the rows of a transaction that then fails", async () => {
+  let seenDuring;
+  const failing = withTransaction(async (db) => {
+    await db.run(`INSERT INTO users (user_id) VALUES ('uncommitted')`);
+    seenDuring = await countUsers("uncommitted");
+    throw new Error("sync failed");
+  });
+  await assert.rejects(failing, /sync failed/);
+
+  assert.equal(seenDuring, 0);
+  assert.equal(await countUsers("uncommitted"), 0);
+});
+
+test("reads see rows once their transaction commits", async () => {
+  await withTransaction(db => db.run(`INSERT INTO users (user_id) VALUES ('committed')`));
+  assert.equal(await countUsers("committed"), 1);
+});
@@ -0,0 +1,75 @@
+// privacy.test.js -- anonymized exports of the archived study logs
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { open } from "sqlite";
+import sqlite3 from "sqlite3";
+import { migrate } from "../migrations.js";
+import { createAnonymizer } from "../privacy.js";
+
+const logsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "user_logs");
+
+function readArchivedLogs() {
+  return fs.readdirSync(logsDir, { recursive: true })
+    .filter(file => file.endsWith(".json"))
+    .map(file => JSON.parse(fs.readFileSync(path.join(logsDir, file), "utf8")));
+}
+
+// Calls visit(object) for every object nested in value
+function walk(value, visit) {
+  if (!value || typeof value !== "object") return;
+  visit(value);
+  for (const child of Object.values(value)) walk(child, visit);
+}
+
+test("no prompt from the archived logs survives anonymization", async () => {
+  const db = await open({ filename: ":memory:", driver: sqlite3.Database });
+  await migrate(db);
+  const anonymizer = await createAnonymizer(db);
+  const archives = readArchivedLogs();
+
+  // Generated images carry their prompt as the title, wherever they are logged.
+  // Some prompts ("Sunset") are also titles of collection artworks, which are
+  // public and stay as they are.
+  const prompts = new Set();
+  const artworkTitles = new Set();
+  for (const { logs } of archives) {
+    for (const log of logs) {
+      walk(log.event_data, object => {
+        const isUserImage = typeof object.id === "string" && object.id.startsWith("user_");
+        if (object.title) (isUserImage ? prompts : artworkTitles).add(object.title);
+        if (typeof object.prompt === "string" && object.prompt) prompts.add(object.prompt);
+      });
+    }
+  }
+  for (const title of artworkTitles) prompts.delete(title);
+  assert.ok(prompts.size > 0, "the archived logs should contain prompts");
+
+  const leaked = new Set();
+  for (const { user_id: userId, logs } of archives) {
+    for (const log of logs) {
+      walk(anonymizer.eventData(log.message, log.event_data, userId), object => {
+        for (const [key, value] of Object.entries(object)) {
+          if (prompts.has(value)) leaked.add(`${log.message}: ${key}`);
+        }
+      });
+    }
+  }
+  assert.deepEqual([...leaked], []);
+  await db.close();
+});
+
+test("anonymizing reads the pseudonym secret without writing it", async () => {
+  const db = await open({ filename: ":memory:", driver: sqlite3.Database });
+  await migrate(db);
+  const { changes } = await db.get(`SELECT total_changes() AS changes`);
+
+  const first = await createAnonymizer(db);
+  const second = await createAnonymizer(db);
+  assert.equal(first.pseudonym("P1"), second.pseudonym("P1"));
+  assert.equal((await db.get(`SELECT total_changes() AS changes`)).changes, changes);
+  await db.close();
+});
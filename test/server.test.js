@@ -0,0 +1,74 @@
+// server.test.js -- requests against a server running on a scratch database
+
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "url";
+
+const serverScript = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+const port = 40000 + Math.floor(Math.random() * 10000);
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, [serverScript], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), AUTH: "off", BACKUP_INTERVAL_HOURS: "0" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    const read = chunk => {
+      output += chunk;
+      if (output.includes("Server listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", read);
+    server.stderr.on("data", read);
+    server.on("exit", code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function request(method, url, body, { host = "localhost" } = {}) {
+  const res = await fetch(`http://${host}:${port}${url}`, {
+    method,
+    headers: body === undefined ? {} : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("an image URL from GET can be sent back in a PATCH", async () => {
+  await request("POST", "/add-user", { userId: "roundtrip" });
+  const added = await request("POST", "/add-user-image", {
+    userId: "roundtrip",
+    image: { userimage_id: "user_1", title: "a prompt", confidence: 0.5, worldCoords: [0, 0], imageUrl: "data:image/png;base64,aGVsbG8=" },
+  });
+  assert.equal(added.status, 200);
+
+  const { body: user } = await request("GET", "/get-user/roundtrip");
+  const [image] = user.userImages;
+  const hash = image.imageUrl.match(/^http:\/\/localhost:\d+\/blobs\/([0-9a-f]{64})$/)?.[1];
+  assert.ok(hash, `unexpected imageUrl ${image.imageUrl}`);
+
+  const patched = await request("PATCH", "/user-image/roundtrip/user_1", { title: "another prompt", imageUrl: image.imageUrl });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.image.version, image.version + 1);
+
+  // Stored as "blobs/<hash>" again, so it follows the host it is read through
+  const { body: reread } = await request("GET", "/get-user/roundtrip", undefined, { host: "127.0.0.1" });
+  assert.equal(reread.userImages[0].imageUrl, `http://127.0.0.1:${port}/blobs/${hash}`);
+  const blob = await fetch(reread.userImages[0].imageUrl);
+  assert.equal(await blob.text(), "hello");
+});